@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * che-tools - CHEファイルを扱うコマンドラインツール
+ * web-app のパーサー・検証・集計モジュールをそのまま Node.js で使う
+ *
+ * 使い方: node cli/che-tools.js <コマンド> [オプション]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WEB_APP = path.join(__dirname, '..', 'web-app');
+
+// ブラウザではグローバル変数として参照し合っているため、同じ名前で公開する
+global.Encoding = require(path.join(WEB_APP, 'lib', 'encoding.js'));
+Object.assign(global, require(path.join(WEB_APP, 'js', 'che-reader.js'))); // CHEReader, CHEParseError
+global.CHEParser = require(path.join(WEB_APP, 'js', 'che-parser.js'));
+global.CHELayout = require(path.join(WEB_APP, 'js', 'che-layout.js'));
+global.CHEDocument = require(path.join(WEB_APP, 'js', 'che-document.js'));
+global.CHEValidator = require(path.join(WEB_APP, 'js', 'che-validator.js'));
+global.ResultCalc = require(path.join(WEB_APP, 'js', 'result-calc.js'));
+global.CHENames = require(path.join(WEB_APP, 'js', 'che-names.js'));
+
+const USAGE = `使い方: che-tools <コマンド> [オプション]
+
+コマンド:
+  info <file.CHE>
+      ヘッダー・対戦設定・チーム・OKEをJSONで出力
+  validate <file.CHE>...
+      構造チェック（エラーがあれば終了コード1）
+  merge <file.CHE>... -o <match.CHE>
+      チームデータ（マッチデータも可）からマッチデータを作成
+        --name <大会名>          大会名（既定: 新規大会）
+        --order <順序>           input（指定順、既定）| name | owner | shuffle
+        --reverse               並び順を逆にする
+        --mode <方式>            対戦方式（12: リーグ戦, 25: ハーフリーグ）
+        --matches <数>           マッチ数（既定: 実ファイルの観測値。観測値のないチーム数・方式では必須）
+        --template <file.CHE>   テンプレートにするマッチデータ（既定: web-app/template.CHE）
+        --blank                 テンプレートを使わずに生成
+  extract <match.CHE> [--slot <1-16>] [-o <出力先>]
+      スロットをチームデータとして書き出す
+      --slot 省略時は全チームを -o のディレクトリ（既定: カレント）に <チーム名>.CHE で保存
+  results <match.CHE> [--points <勝,分,負>]
+      順位表と対戦マトリクスをテキストで出力（既定の勝点: 3,1,0）
+      ※ 勝敗データの読み込みは未対応（形式が未検証）のため、全て未対戦になる
+
+共通オプション:
+  --verbose   パーサーのデバッグログを表示
+  --help      この説明を表示`;
+
+/**
+ * 引数の誤り（使い方を表示して終了コード2）
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const CLI = {
+    // 値を取らないオプション
+    BOOLEAN_OPTIONS: ['reverse', 'blank', 'verbose', 'help'],
+
+    /**
+     * 引数を解析
+     * @param {Array} argv - process.argv.slice(2)
+     * @returns {Object} { command, files: [位置引数], options }
+     */
+    parseArgs: function (argv) {
+        const files = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === '-o') {
+                options.output = argv[++i];
+            } else if (arg.startsWith('--')) {
+                const name = arg.slice(2);
+                if (this.BOOLEAN_OPTIONS.includes(name)) {
+                    options[name] = true;
+                } else {
+                    if (i + 1 >= argv.length) throw new UsageError(`${arg} に値がありません`);
+                    options[name] = argv[++i];
+                }
+            } else {
+                files.push(arg);
+            }
+        }
+
+        return { command: files.shift(), files, options };
+    },
+
+    /**
+     * ファイルをArrayBufferとして読み込む
+     */
+    readBuffer: function (file) {
+        const data = fs.readFileSync(file);
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    },
+
+    /**
+     * CHEファイルを読み込んでパース
+     */
+    readFile: function (file) {
+        try {
+            return CHEParser.parse(this.readBuffer(file));
+        } catch (e) {
+            // どのファイルのどこで読めなかったかを示す
+            if (e instanceof CHEParseError) e.message = `${file}: ${e.message} [${e.code}]`;
+            throw e;
+        }
+    },
+
+    /**
+     * ファイルに書き出す
+     */
+    writeFile: function (file, buffer) {
+        fs.writeFileSync(file, new Uint8Array(buffer));
+        console.error(`${file} (${buffer.byteLength} バイト) を書き出しました`);
+    },
+
+    /**
+     * info: ヘッダー・チーム・OKEをJSONで出力
+     */
+    info: function (files) {
+        if (files.length !== 1) throw new UsageError('info にはファイルを1つ指定してください');
+
+        const data = this.readFile(files[0]);
+        const info = {
+            file: files[0],
+            type: data.type,
+            size: data.raw.byteLength,
+            header: data.header
+        };
+
+        if (data.type === 'match') {
+            info.settings = Object.assign({}, data.settings, {
+                fieldName: CHEParser.FIELD_NAMES[data.settings.field] || null,
+                modeName: CHEParser.MODE_NAMES[data.settings.mode] || null
+            });
+        }
+
+        info.teams = data.teams.map((team, i) => ({
+            index: i,
+            name: team.name,
+            owner: team.owner,
+            fileOffset: team.fileOffset,
+            okes: (team.okes || []).map(oke => ({
+                okeNum: oke.okeNum,
+                blockIndex: oke.blockIndex,
+                name: oke.name,
+                sharedWith: oke.sharedWith
+            }))
+        }));
+
+        return JSON.stringify(info, null, 2);
+    },
+
+    /**
+     * validate: 構造チェック
+     */
+    validate: function (files) {
+        if (files.length === 0) throw new UsageError('validate にはファイルを1つ以上指定してください');
+
+        const lines = [];
+        let errors = 0;
+
+        files.forEach(file => {
+            // 読み込めないファイルもエラーの診断結果として出し、残りのファイルの検証を続ける
+            let diagnostics;
+            try {
+                diagnostics = CHEValidator.diagnose(this.readBuffer(file)).diagnostics;
+            } catch (e) {
+                diagnostics = CHEValidator.fromParseError(e); // ファイルが開けない
+            }
+            const counts = CHEValidator.summarize(diagnostics);
+            errors += counts.error;
+
+            lines.push(`${file}: エラー ${counts.error} / 警告 ${counts.warning} / 情報 ${counts.info}`);
+            diagnostics.forEach(d => {
+                const code = d.code ? ` [${d.code}]` : '';
+                lines.push(`  [${d.level}] 0x${d.offset.toString(16).toUpperCase().padStart(5, '0')} ${d.message}${code}`);
+            });
+        });
+
+        process.exitCode = errors > 0 ? 1 : 0;
+        return lines.join('\n');
+    },
+
+    /**
+     * merge: 複数のファイルのチームからマッチデータを作成
+     */
+    merge: async function (files, options) {
+        if (files.length === 0) throw new UsageError('merge にはファイルを1つ以上指定してください');
+        if (!options.output) throw new UsageError('merge には -o で出力先を指定してください');
+
+        let teams = [];
+        files.forEach(file => {
+            teams = teams.concat(this.readFile(file).teams);
+        });
+
+        const order = options.order || 'input';
+        if (order === 'name' || order === 'owner') {
+            teams.sort((a, b) => (a[order] || '').localeCompare(b[order] || '', 'ja'));
+        } else if (order === 'shuffle') {
+            // Fisher-Yates シャッフル
+            for (let i = teams.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [teams[i], teams[j]] = [teams[j], teams[i]];
+            }
+        } else if (order !== 'input') {
+            throw new UsageError(`不明な並び順です: ${order}`);
+        }
+        if (options.reverse) teams.reverse();
+
+        if (teams.length < 2 || teams.length > CHEParser.MAX_TEAMS) {
+            throw new Error(`チーム数は2〜${CHEParser.MAX_TEAMS}の間で指定してください (${teams.length}チーム)`);
+        }
+
+        const tournamentName = options.name || '新規大会';
+        const nameError = CHENames.checkName(tournamentName);
+        if (nameError) throw new Error(`大会名: ${nameError}`);
+        const teamNameError = CHENames.checkTeamNames(teams);
+        if (teamNameError) throw new Error(teamNameError);
+
+        const generateOptions = { useTemplate: !options.blank };
+        let base = 'テンプレートなし';
+        if (!options.blank && options.template) {
+            // 任意のマッチデータをテンプレートにする
+            generateOptions.template = new Uint8Array(fs.readFileSync(options.template));
+            base = options.template;
+        } else if (!options.blank) {
+            if (!await CHEParser.loadTemplate()) {
+                throw new Error('テンプレートファイルの読み込みに失敗しました（--blank でテンプレートなしで生成できます）');
+            }
+            base = 'template.CHE';
+        }
+        if (options.mode !== undefined) {
+            const mode = parseInt(options.mode);
+            if (isNaN(mode)) throw new UsageError(`対戦方式が数値ではありません: ${options.mode}`);
+            generateOptions.settings = { mode: mode };
+        }
+        if (options.matches !== undefined) {
+            const matchCount = Number(options.matches);
+            if (!Number.isInteger(matchCount)) throw new UsageError(`マッチ数が整数ではありません: ${options.matches}`);
+            generateOptions.matchCount = matchCount;
+        }
+
+        this.writeFile(options.output, CHEParser.generateMatchFile(teams, tournamentName, generateOptions));
+        console.error(`ベース: ${base}`);
+        return teams.map((team, i) => `${String(i + 1).padStart(2, '0')} ${team.name}${team.owner ? ` [${team.owner}]` : ''}`).join('\n');
+    },
+
+    /**
+     * extract: マッチデータのスロットをチームデータとして書き出す
+     */
+    extract: function (files, options) {
+        if (files.length !== 1) throw new UsageError('extract にはマッチデータを1つ指定してください');
+
+        const data = this.readFile(files[0]);
+        if (data.type !== 'match') throw new Error('extract にはマッチデータ（CEMD）を指定してください');
+
+        let teams = data.teams;
+        if (options.slot !== undefined) {
+            const slot = parseInt(options.slot);
+            if (!(slot >= 1 && slot <= teams.length)) {
+                throw new UsageError(`スロットは1〜${teams.length}で指定してください: ${options.slot}`);
+            }
+            teams = [teams[slot - 1]];
+        }
+
+        const teamNameError = CHENames.checkTeamNames(teams);
+        if (teamNameError) throw new Error(teamNameError);
+
+        let outputs;
+        if (options.slot !== undefined) {
+            outputs = [options.output || CHENames.getTeamFilenames(teams)[0]];
+        } else {
+            const dir = options.output || '.';
+            fs.mkdirSync(dir, { recursive: true });
+            outputs = CHENames.getTeamFilenames(teams).map(name => path.join(dir, name));
+        }
+
+        const lines = [];
+        teams.forEach((team, i) => {
+            const result = CHEParser.extractTeamFile(team);
+            this.writeFile(outputs[i], result.buffer);
+            if (result.missing.length > 0) {
+                lines.push(`${team.name}: マッチデータにない領域が ${result.missing.length} 箇所あります（AIプログラムは含まれません）`);
+                if (!options.verbose) return;
+                result.missing.forEach(m => {
+                    lines.push(`  0x${m.offset.toString(16).toUpperCase().padStart(4, '0')} (${m.size} バイト) ${m.message}`);
+                });
+            }
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * results: 順位表と対戦マトリクスをテキストで出力
+     */
+    results: function (files, options) {
+        if (files.length !== 1) throw new UsageError('results にはマッチデータを1つ指定してください');
+
+        const data = this.readFile(files[0]);
+        if (data.type !== 'match') throw new Error('results にはマッチデータ（CEMD）を指定してください');
+
+        const [winPt, drawPt, losePt] = (options.points || '3,1,0').split(',').map(v => parseInt(v));
+        if ([winPt, drawPt, losePt].some(isNaN)) {
+            throw new UsageError(`勝点は「勝,分,負」の形式で指定してください: ${options.points}`);
+        }
+
+        // 勝敗データ領域の形式は未検証のため、CHEParser は勝敗を読み込まない
+        console.error('注意: 勝敗データの読み込みは未対応のため、全て未対戦として集計します');
+
+        ResultCalc.isManualOrder = false;
+        ResultCalc.standings = ResultCalc.computeStandings(data.teams, data.results, data.results, 'asc', { winPt, drawPt, losePt });
+        ResultCalc.sortStandings();
+        return ResultCalc.buildResultText('asc', data.results, data.results);
+    },
+
+    /**
+     * エントリポイント
+     * @returns {Promise<number>} 終了コード
+     */
+    main: async function (argv) {
+        let args;
+        try {
+            args = this.parseArgs(argv);
+        } catch (e) {
+            console.error(e.message);
+            return 2;
+        }
+
+        if (args.options.help || !args.command) {
+            console.info(USAGE);
+            return args.command || args.options.help ? 0 : 2;
+        }
+
+        const commands = ['info', 'validate', 'merge', 'extract', 'results'];
+        if (!commands.includes(args.command)) {
+            console.error(`不明なコマンドです: ${args.command}\n\n${USAGE}`);
+            return 2;
+        }
+
+        // モジュールのデバッグログは標準出力を汚すため、--verbose 以外では捨てる
+        const log = console.log;
+        if (!args.options.verbose) console.log = () => {};
+
+        try {
+            const output = await this[args.command](args.files, args.options);
+            if (output) process.stdout.write(output + '\n');
+            return process.exitCode || 0;
+        } catch (e) {
+            console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : `エラー: ${e.message}`);
+            return e instanceof UsageError ? 2 : 1;
+        } finally {
+            console.log = log;
+        }
+    }
+};
+
+if (require.main === module) {
+    CLI.main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = CLI;
@@ -0,0 +1,110 @@
+/**
+ * テンプレートなしの生成（createBlankMatchFile）を template.CHE（SML.CHE）と領域ごとに比較する
+ * 比較する領域・一致しない領域は MATCH_CHE_FORMAT.md「テンプレートなしの生成」の表と同じ
+ * SML.CHEと一致しない領域（SML.CHEのチーム・OKE、Slot 16のゴミ、0x190-0x487）は、生成側に期待するバイト列を別に確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readTemplate } = require('./helpers.js');
+
+const template = readTemplate();
+const blank = CHEParser.createBlankMatchFile({
+    tournamentName: CHEParser.readSJISString(template, 0x018, CHEParser.NAME_MAX_BYTES),
+    settings: CHEParser.parseMatchSettings(template)
+});
+
+const slotStart = slot => CHEParser.SLOT_START_OFFSET + slot * CHEParser.SLOT_SIZE;
+const blockStart = index => CHEParser.OKE_BLOCK_START + index * CHEParser.OKE_BLOCK_SIZE;
+
+/**
+ * 領域が一致するか（不一致なら最初の位置をメッセージに出す）
+ * @param {Uint8Array} expected - 比較先（省略時は template.CHE の同じ位置）
+ */
+function assertRegion(label, start, end, expected = template.subarray(start, end)) {
+    const a = blank.subarray(start, end);
+    const b = expected;
+    const i = a.findIndex((v, k) => v !== b[k]);
+    const hex = v => v.toString(16).toUpperCase();
+    assert.ok(i < 0, `${label}: 0x${hex(start + i)} が一致しません (生成 ${hex(a[i] ?? 0)} / 期待 ${hex(b[i] ?? 0)})`);
+}
+
+test('ファイルサイズ', () => {
+    assert.strictEqual(blank.length, CHEParser.MATCH_FILE_SIZE);
+    assert.strictEqual(template.length, CHEParser.MATCH_FILE_SIZE);
+});
+
+test('ヘッダー・重複ヘッダー（チーム数・マッチ数、大会名のNULL以降を除く）', () => {
+    // チーム数・マッチ数 (0x034/0x038, 0x184/0x188) は生成側が0、SML.CHEは2チーム・1マッチ
+    // 大会名欄は生成側がNULL埋め、SML.CHEは0xCD埋めのため、名前の後ろは比較しない
+    const nameLength = Encoding.toSJIS(CHEParser.readSJISString(template, 0x018, CHEParser.NAME_MAX_BYTES)).length;
+    assertRegion('大会名', 0x018, 0x018 + nameLength);
+    assertRegion('ヘッダー', 0x000, 0x018);
+    assertRegion('ヘッダー', 0x030, 0x034);
+    assertRegion('ヘッダー', 0x03C, 0x168);
+    assertRegion('大会名2', 0x168, 0x168 + nameLength);
+    assertRegion('重複ヘッダー', 0x180, 0x184);
+    assertRegion('重複ヘッダー', 0x18C, 0x190);
+
+    [0x034, 0x038, 0x184, 0x188].forEach(offset => {
+        assert.strictEqual(CHEParser.readUint32(blank, offset), 0, `0x${offset.toString(16).toUpperCase()}`);
+    });
+    assertRegion('大会名のNULL以降', 0x018 + nameLength, 0x030, new Uint8Array(0x030 - 0x018 - nameLength));
+});
+
+test('0x190-0x487 は0埋め', () => {
+    // SML.CHEは 0x28C=2、0x36F-0x3D7 に4bpp画像らしきデータがある（用途不明のため生成側は書かない）
+    assertRegion('0x190-0x487', 0x190, 0x488, new Uint8Array(0x488 - 0x190));
+    assertRegion('0x190-0x28B', 0x190, 0x28C);
+    assertRegion('0x28D-0x36E', 0x28D, 0x36F);
+    assertRegion('0x3D8-0x487', 0x3D8, 0x488);
+});
+
+test('未使用スロット (Slot 3-15)', () => {
+    for (let slot = 2; slot < 15; slot++) {
+        assertRegion(`Slot ${slot + 1}`, slotStart(slot), slotStart(slot + 1));
+    }
+});
+
+test('Slot 1-2 も未使用スロット', () => {
+    // SML.CHEの Slot 1-2 はチームが入っているため、Slot 3 のチームID (+0x0B4) をスロット番号にしたものと比較する
+    for (let slot = 0; slot < 2; slot++) {
+        const expected = template.slice(slotStart(2), slotStart(3));
+        new DataView(expected.buffer).setUint32(0x0B4, slot, true);
+        assertRegion(`Slot ${slot + 1}`, slotStart(slot), slotStart(slot + 1), expected);
+    }
+});
+
+test('Slot 16（SML.CHEのOKEビットマップ欄のゴミを除く）', () => {
+    // SML.CHEの Slot 16 は +0x148-0x2AF にゴミがあるため、そこだけ Slot 3 と同じ内容になっているかを見る
+    const start = slotStart(15);
+    assertRegion('Slot 16', start, start + 0x148);
+    assertRegion('Slot 16 +0x148-0x2AF', start + 0x148, start + 0x2B0, template.subarray(slotStart(2) + 0x148, slotStart(2) + 0x2B0));
+    assertRegion('Slot 16', start + 0x2B0, start + CHEParser.SLOT_SIZE);
+});
+
+test('勝敗データ領域', () => {
+    assertRegion('勝敗データ', CHEParser.RESULT_AREA_OFFSET, CHEParser.RESULT_AREA_OFFSET + CHEParser.RESULT_AREA_SIZE);
+});
+
+test('空のOKEブロック (Block 4-30)', () => {
+    for (let i = 4; i < CHEParser.MAX_OKE_BLOCKS; i++) {
+        assertRegion(`Block ${i}`, blockStart(i), blockStart(i + 1));
+    }
+});
+
+test('Block 0-3 も空のOKEブロック', () => {
+    // SML.CHEの Block 0-3 はチームのOKEが入っているため、空の Block 4 と比較する
+    for (let i = 0; i < 4; i++) {
+        assertRegion(`Block ${i}`, blockStart(i), blockStart(i + 1), template.subarray(blockStart(4), blockStart(5)));
+    }
+});
+
+test('OKEブロック後の領域 (0x3F1FC-0x40E4F)', () => {
+    const extraStart = CHEParser.OKE_BLOCK_START + CHEParser.MAX_OKE_BLOCKS * CHEParser.OKE_BLOCK_SIZE;
+    assertRegion('OKEブロック後', extraStart, CHEParser.SETTINGS_MIRROR_DELTA);
+});
+
+test('フッター (0x40E50-)', () => {
+    assertRegion('フッター', CHEParser.SETTINGS_MIRROR_DELTA, CHEParser.MATCH_FILE_SIZE);
+});
@@ -0,0 +1,124 @@
+/**
+ * コマンドラインツール（cli/che-tools.js）を template.CHE で実行し、出力と終了コードを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { WEB_APP, readTemplate } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'cli', 'che-tools.js');
+const TEMPLATE = path.join(WEB_APP, 'template.CHE');
+const TEAM_NAMES = ['アトラスＬＴＳ２', '御三家'];
+
+/**
+ * CLIを実行
+ * @returns {Object} { status, stdout, stderr }
+ */
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'che-tools-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// 途中で切れたファイル（Slot 1 の途中まで）
+const truncated = path.join(tmp, 'truncated.CHE');
+fs.writeFileSync(truncated, readTemplate().subarray(0, 1000));
+
+test('info: ヘッダー・対戦設定・チームをJSONで出力', () => {
+    const { status, stdout } = run('info', TEMPLATE);
+    assert.strictEqual(status, 0);
+
+    const info = JSON.parse(stdout);
+    assert.strictEqual(info.type, 'match');
+    assert.strictEqual(info.size, CHEParser.MATCH_FILE_SIZE);
+    assert.strictEqual(info.header.teamCount, 2);
+    assert.strictEqual(info.header.matchCount, 1);
+    assert.strictEqual(info.settings.modeName, 'リーグ戦');
+    assert.deepStrictEqual(info.teams.map(team => team.name), TEAM_NAMES);
+    assert.strictEqual(info.results, undefined, '勝敗データは出力しない（未対応）');
+});
+
+test('info: 読み込めないファイルは終了コード1', () => {
+    const { status, stdout, stderr } = run('info', truncated);
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /\[SLOT_OVERFLOW\]/);
+});
+
+test('validate: 正常なファイルは終了コード0', () => {
+    const { status, stdout } = run('validate', TEMPLATE);
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /エラー 0 \/ 警告 0 \/ 情報 0/);
+});
+
+test('validate: 読み込めないファイルはエラーコード付きで終了コード1', () => {
+    const { status, stdout } = run('validate', TEMPLATE, truncated);
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /template\.CHE: エラー 0/);
+    assert.match(stdout, /truncated\.CHE: エラー 1/);
+    assert.match(stdout, /\[error\] 0x00488 .*\[SLOT_OVERFLOW\]/);
+});
+
+test('merge: マッチデータを作成して読み直せる', () => {
+    const output = path.join(tmp, 'merged.CHE');
+    const { status, stdout } = run('merge', TEMPLATE, '--name', 'テスト大会', '-o', output);
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual(stdout.trim().split('\n').map(line => line.split(' ')[1]), TEAM_NAMES);
+
+    const data = CHEParser.parse(new Uint8Array(fs.readFileSync(output)).buffer);
+    assert.strictEqual(data.type, 'match');
+    assert.strictEqual(data.header.tournamentName, 'テスト大会');
+    assert.deepStrictEqual(data.teams.map(team => team.name), TEAM_NAMES);
+});
+
+test('merge: 観測値のないチーム数は --matches が必要', () => {
+    const output = path.join(tmp, 'merged4.CHE');
+    const missing = run('merge', TEMPLATE, TEMPLATE, '-o', output);
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /マッチ数を指定してください/);
+    assert.ok(!fs.existsSync(output));
+
+    const { status } = run('merge', TEMPLATE, TEMPLATE, '--matches', '6', '-o', output);
+    assert.strictEqual(status, 0);
+    const data = CHEParser.parse(new Uint8Array(fs.readFileSync(output)).buffer);
+    assert.strictEqual(data.header.teamCount, 4);
+    assert.strictEqual(data.header.matchCount, 6);
+});
+
+test('extract: 全スロットをチームデータとして書き出す', () => {
+    const dir = path.join(tmp, 'extract');
+    const { status } = run('extract', TEMPLATE, '-o', dir);
+    assert.strictEqual(status, 0);
+
+    TEAM_NAMES.forEach(name => {
+        const data = CHEParser.parse(new Uint8Array(fs.readFileSync(path.join(dir, `${name}.CHE`))).buffer);
+        assert.strictEqual(data.type, 'team');
+        assert.strictEqual(data.teams[0].name, name);
+    });
+});
+
+test('extract: 範囲外のスロットは終了コード2', () => {
+    const { status, stderr } = run('extract', TEMPLATE, '--slot', '3');
+    assert.strictEqual(status, 2);
+    assert.match(stderr, /スロットは1〜2で指定してください/);
+});
+
+test('results: 順位表を出力し、勝敗データが未対応であることを表示', () => {
+    const { status, stdout, stderr } = run('results', TEMPLATE);
+    assert.strictEqual(status, 0);
+    assert.match(stderr, /勝敗データの読み込みは未対応/);
+    assert.match(stdout, /==順位表 \(正順データ\)==/);
+    TEAM_NAMES.forEach(name => assert.ok(stdout.includes(name), name));
+});
+
+test('不明なコマンドは終了コード2', () => {
+    const { status, stderr } = run('foo');
+    assert.strictEqual(status, 2);
+    assert.match(stderr, /不明なコマンドです: foo/);
+});
@@ -0,0 +1,78 @@
+/**
+ * ドキュメントモデル（CHEDocument）
+ * 何も変更しなければ serialize() が元のファイルと一致すること、フィールド一覧が Node.js でも使えることを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readTemplate } = require('./helpers.js');
+
+const template = readTemplate();
+
+/**
+ * template.CHE の Slot 1 から作ったチームデータ（CETD）
+ */
+function extractedTeam() {
+    const data = CHEParser.parse(template.slice().buffer);
+    return new Uint8Array(CHEParser.extractTeamFile(data.teams[0]).buffer);
+}
+
+test('template.CHE をそのまま書き出すと元と一致する', () => {
+    const doc = new CHEDocument(template);
+    assert.strictEqual(doc.type, 'match');
+    assert.deepStrictEqual(new Uint8Array(doc.serialize()), template);
+});
+
+test('チームデータ（CETD）をそのまま書き出すと元と一致する', () => {
+    const team = extractedTeam();
+    const doc = new CHEDocument(team.buffer);
+    assert.strictEqual(doc.type, 'team');
+    assert.strictEqual(doc.recordCount, 1);
+    assert.deepStrictEqual(new Uint8Array(doc.serialize()), team);
+});
+
+test('値を書いて元に戻すと元と一致する', () => {
+    const doc = new CHEDocument(template);
+    const name = doc.tournamentName;
+    doc.tournamentName = 'テスト大会';
+    assert.notDeepStrictEqual(new Uint8Array(doc.serialize()), template);
+    doc.tournamentName = name;
+    // 大会名欄のNULL以降（SML.CHEは0xCD）は書き込みで0になるため、その範囲だけは戻らない
+    const output = new Uint8Array(doc.serialize());
+    const end = 0x018 + Encoding.toSJIS(name).length;
+    assert.deepStrictEqual(output.subarray(0, end), template.subarray(0, end));
+    assert.deepStrictEqual(output.subarray(0x030, 0x168), template.subarray(0x030, 0x168));
+});
+
+test('fields() はファイル全体を隙間なく覆い、unknownRegions() は型のない領域', () => {
+    [new CHEDocument(template), new CHEDocument(extractedTeam())].forEach(doc => {
+        const fields = doc.fields();
+        let offset = 0;
+        fields.forEach(field => {
+            assert.strictEqual(field.offset, offset, `${doc.type} ${field.name}`);
+            assert.strictEqual(field.bytes.length, field.size);
+            offset += field.size;
+        });
+        assert.strictEqual(offset, doc.byteLength, doc.type);
+
+        const unknown = doc.unknownRegions();
+        assert.ok(unknown.length > 0, doc.type);
+        assert.ok(unknown.every(field => field.type === 'bytes'));
+    });
+});
+
+test('スロットのチーム名はパーサーと同じ24バイトで読む', () => {
+    const bytes = template.slice();
+    const slot = CHEParser.SLOT_START_OFFSET;
+    // NULL終端のない24バイトの名前（直後はオーナー名）
+    bytes.set(Encoding.toSJIS('ＡＢＣＤＥＦＧＨＩＪＫＬ'), slot + 0x054);
+    bytes.fill(0, slot + 0x06C, slot + 0x084);
+    bytes.set(Encoding.toSJIS('オーナー'), slot + 0x06C);
+
+    const doc = new CHEDocument(bytes);
+    const data = CHEParser.parse(bytes.slice().buffer);
+    assert.strictEqual(doc.slot(0).name, 'ＡＢＣＤＥＦＧＨＩＪＫＬ');
+    assert.strictEqual(data.teams[0].name, doc.slot(0).name);
+    assert.strictEqual(data.teams[0].owner, 'オーナー');
+    assert.strictEqual(doc.slot(0).owner, 'オーナー');
+});
@@ -0,0 +1,64 @@
+/**
+ * Shift-JIS エンコーダー（lib/encoding.js）の往復変換
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+const decoder = new TextDecoder('shift_jis');
+
+// デコーダーでは戻らない、エンコード方向だけの対応（WHATWG Encoding仕様のエンコーダーと同じ）
+const ONE_WAY = {
+    0x00A5: 0x5C,   // ¥ -> \
+    0x203E: 0x7E,   // ‾ -> ~
+    0x2212: 0x817C  // − (MINUS SIGN) -> －
+};
+
+function encode(codePoint) {
+    const sjis = Encoding.unicodeToSjis(codePoint);
+    return sjis > 0xFF ? Uint8Array.of(sjis >> 8, sjis & 0xFF) : Uint8Array.of(sjis);
+}
+
+test('変換テーブルは読み込み時に構築されている', () => {
+    assert.ok(Encoding.UNICODE_TO_SJIS instanceof Map);
+    // JIS X 0208 (6,879字) + NEC特殊文字・IBM拡張 + ASCII・半角カナ
+    assert.ok(Encoding.UNICODE_TO_SJIS.size > 7000, `size=${Encoding.UNICODE_TO_SJIS.size}`);
+});
+
+test('テーブルの全ての文字がTextDecoderで元に戻る', () => {
+    const failures = [];
+    Encoding.UNICODE_TO_SJIS.forEach((sjis, codePoint) => {
+        if (ONE_WAY[codePoint] !== undefined) return;
+        // Node.js（ICU）のデコーダーは制御文字 0x1A/0x1C/0x7F を入れ替えて返すため、ASCIIの制御文字は比較しない
+        if (codePoint < 0x20 || codePoint === 0x7F) return;
+        const decoded = decoder.decode(encode(codePoint));
+        if (decoded !== String.fromCodePoint(codePoint)) {
+            failures.push(`U+${codePoint.toString(16).toUpperCase()} -> 0x${sjis.toString(16).toUpperCase()} -> ${decoded}`);
+        }
+    });
+    assert.deepStrictEqual(failures, []);
+});
+
+test('¥ ‾ − はASCII・全角マイナスに変換する', () => {
+    Object.entries(ONE_WAY).forEach(([codePoint, sjis]) => {
+        assert.strictEqual(Encoding.unicodeToSjis(Number(codePoint)), sjis, `U+${Number(codePoint).toString(16)}`);
+    });
+});
+
+test('JIS X 0208の各区・cp932拡張の文字', () => {
+    const samples = {
+        '　': 0x8140, 'あ': 0x82A0, 'ア': 0x8341, 'Α': 0x839F, 'А': 0x8440,
+        '亜': 0x889F, '腕': 0x9872, '弌': 0x989F, '熙': 0xEAA4,
+        '①': 0x8740, '№': 0x8782, '纊': 0xFA5C, 'ｱ': 0xB1
+    };
+    Object.entries(samples).forEach(([char, sjis]) => {
+        assert.strictEqual(Encoding.unicodeToSjis(char.codePointAt(0)), sjis, char);
+    });
+});
+
+test('Shift-JISにない文字は変換できない', () => {
+    assert.strictEqual(Encoding.unicodeToSjis('😀'.codePointAt(0)), null);
+    assert.deepStrictEqual(Array.from(Encoding.toSJIS('a😀')), [0x61, 0x3F]);
+    assert.deepStrictEqual(Encoding.checkSJIS('a😀', 24).unencodable, ['😀']);
+});
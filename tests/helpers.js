@@ -0,0 +1,40 @@
+/**
+ * テスト共通: web-app のモジュールをブラウザと同じグローバル名で読み込む（cli/che-tools.js と同じ）
+ *
+ * 実行: node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WEB_APP = path.join(__dirname, '..', 'web-app');
+
+// パーサーのデバッグログ・警告でテスト結果が埋もれないようにする
+console.log = () => {};
+console.warn = () => {};
+
+global.Encoding = require(path.join(WEB_APP, 'lib', 'encoding.js'));
+Object.assign(global, require(path.join(WEB_APP, 'js', 'che-reader.js'))); // CHEReader, CHEParseError
+global.CHEParser = require(path.join(WEB_APP, 'js', 'che-parser.js'));
+global.CHELayout = require(path.join(WEB_APP, 'js', 'che-layout.js'));
+global.CHEDocument = require(path.join(WEB_APP, 'js', 'che-document.js'));
+global.CHEValidator = require(path.join(WEB_APP, 'js', 'che-validator.js'));
+
+/**
+ * template.CHE（SML.CHE）を読み込む
+ * @returns {Uint8Array}
+ */
+function readTemplate() {
+    return new Uint8Array(fs.readFileSync(path.join(WEB_APP, 'template.CHE')));
+}
+
+/**
+ * "00 01 CD ..." 形式の16進ダンプをバイト列にする
+ * @param {string} text - 16進ダンプ（空白・改行区切り）
+ * @returns {Uint8Array}
+ */
+function fromHex(text) {
+    return Uint8Array.from(text.trim().split(/\s+/).map(h => parseInt(h, 16)));
+}
+
+module.exports = { WEB_APP, readTemplate, fromHex };
@@ -0,0 +1,54 @@
+/**
+ * 勝敗データ領域 (0x3888-0x38BB)
+ * レイアウトは対戦後の実ファイルと照合できていないため、読み込みは未対応（常に全て0）。
+ * 書き込み（実験的）は MATCH_CHE_FORMAT.md「勝敗データ領域」の仮説どおりのバイト列になるかだけを確認する。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readTemplate, fromHex } = require('./helpers.js');
+
+// 仮説レイアウトで4チーム・5試合を書いた例（実データではない）
+const HYPOTHESIS_AREA = fromHex(`
+    05 00 00 00 2D 00 00 40 00 00 00 08 00 00 00 00
+    00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00
+    00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00
+    00 00 00 00
+`);
+
+// 行チームから見た結果（0:なし, 1:勝, 2:負, 3:引分）
+const HYPOTHESIS_RESULTS = [
+    [0, 1, 3, 2],
+    [2, 0, 1, 0],
+    [3, 2, 0, 2],
+    [1, 0, 1, 0]
+];
+
+function withResultArea(area) {
+    const bytes = readTemplate();
+    bytes.set(area, CHEParser.RESULT_AREA_OFFSET);
+    return bytes;
+}
+
+function isEmpty(results, teamCount) {
+    return results.length === teamCount && results.every(row => row.length === teamCount && row.every(v => v === 0));
+}
+
+test('勝敗データは読み込まない（未対応）', () => {
+    assert.ok(isEmpty(CHEParser.extractMatchResults(readTemplate(), 16), 16));
+    assert.ok(isEmpty(CHEParser.extractMatchResults(withResultArea(HYPOTHESIS_AREA), 4), 4));
+});
+
+test('勝敗データ領域に値があるかどうか', () => {
+    assert.strictEqual(CHEParser.hasMatchResultData(readTemplate()), false);
+    assert.strictEqual(CHEParser.hasMatchResultData(withResultArea(HYPOTHESIS_AREA)), true);
+});
+
+test('writeMatchResults（実験的）は仮説レイアウトのバイト列を書く', () => {
+    const bytes = new Uint8Array(CHEParser.MATCH_FILE_SIZE);
+    assert.strictEqual(CHEParser.writeMatchResults(bytes, HYPOTHESIS_RESULTS, 4), 5);
+    assert.deepStrictEqual(
+        bytes.subarray(CHEParser.RESULT_AREA_OFFSET, CHEParser.RESULT_AREA_OFFSET + CHEParser.RESULT_AREA_SIZE),
+        HYPOTHESIS_AREA
+    );
+});
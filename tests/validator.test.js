@@ -0,0 +1,44 @@
+/**
+ * 構造チェック（CHEValidator.diagnose）
+ * 読み込めないファイルも CHEParseError のコード・オフセット付きの診断結果になること（Web版のファイルリストに出す内容）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readTemplate } = require('./helpers.js');
+
+test('正常なファイルはパース結果と診断結果を返す', () => {
+    const result = CHEValidator.diagnose(readTemplate().buffer);
+    assert.strictEqual(result.data.type, 'match');
+    assert.deepStrictEqual(result.diagnostics, []);
+    assert.strictEqual(result.error, null);
+});
+
+test('途中で切れたファイルはエラーの診断結果1件', () => {
+    const result = CHEValidator.diagnose(readTemplate().slice(0, 1000).buffer);
+    assert.strictEqual(result.data, null);
+    assert.ok(result.error instanceof CHEParseError);
+    assert.strictEqual(result.diagnostics.length, 1);
+    assert.strictEqual(result.diagnostics[0].level, CHEValidator.LEVEL_ERROR);
+    assert.strictEqual(result.diagnostics[0].code, CHEParseError.SLOT_OVERFLOW);
+    assert.strictEqual(result.diagnostics[0].offset, CHEParser.SLOT_START_OFFSET);
+});
+
+test('チーム数が16を超えるファイルはエラーの診断結果1件', () => {
+    const bytes = readTemplate();
+    new DataView(bytes.buffer).setUint32(0x034, 17, true);
+
+    const result = CHEValidator.diagnose(bytes.buffer);
+    assert.strictEqual(result.data, null);
+    assert.strictEqual(result.diagnostics.length, 1);
+    assert.strictEqual(result.diagnostics[0].level, CHEValidator.LEVEL_ERROR);
+    assert.strictEqual(result.diagnostics[0].code, CHEParseError.BAD_TEAM_COUNT);
+    assert.strictEqual(result.diagnostics[0].offset, 0x034);
+    assert.match(result.diagnostics[0].message, /17/);
+});
+
+test('CHEファイルでないデータはエラーの診断結果1件', () => {
+    const result = CHEValidator.diagnose(new TextEncoder().encode('PK\x03\x04 not a CHE file').buffer);
+    assert.strictEqual(result.data, null);
+    assert.strictEqual(result.diagnostics[0].code, CHEParseError.UNKNOWN_FORMAT);
+});
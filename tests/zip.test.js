@@ -0,0 +1,94 @@
+/**
+ * ZIPアーカイブ生成（lib/zip.js）
+ * 生成したアーカイブをセントラルディレクトリから読み直し、CRC-32・サイズ・UTF-8フラグを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const zlib = require('zlib');
+const { WEB_APP } = require('./helpers.js');
+
+const Zip = require(path.join(WEB_APP, 'lib', 'zip.js'));
+const CHENames = require(path.join(WEB_APP, 'js', 'che-names.js'));
+
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * セントラルディレクトリを読む
+ * @param {Uint8Array} zip - ZIPファイルデータ
+ * @returns {Array} [{ name, flags, method, crc, compressedSize, size, data }]
+ */
+function readCentralDirectory(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    // 終端レコード（コメントなし）
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054B50, '終端レコードのシグネチャ');
+    const count = view.getUint16(end + 10, true);
+    const centralSize = view.getUint32(end + 12, true);
+    const centralStart = view.getUint32(end + 16, true);
+    assert.strictEqual(centralStart + centralSize, end, 'セントラルディレクトリの直後が終端レコード');
+
+    const entries = [];
+    let offset = centralStart;
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(offset, true), 0x02014B50, `エントリ ${i} のシグネチャ`);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const entry = {
+            name: decoder.decode(zip.subarray(offset + 46, offset + 46 + nameLength)),
+            flags: view.getUint16(offset + 8, true),
+            method: view.getUint16(offset + 10, true),
+            crc: view.getUint32(offset + 16, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true)
+        };
+
+        // ローカルファイルヘッダーと一致し、その直後にデータがあること
+        assert.strictEqual(view.getUint32(localOffset, true), 0x04034B50, `${entry.name} のローカルヘッダー`);
+        assert.strictEqual(view.getUint16(localOffset + 6, true), entry.flags, `${entry.name} のフラグ`);
+        assert.strictEqual(view.getUint32(localOffset + 14, true), entry.crc, `${entry.name} のCRC-32`);
+        assert.strictEqual(view.getUint32(localOffset + 18, true), entry.compressedSize, `${entry.name} の圧縮後サイズ`);
+        assert.strictEqual(view.getUint32(localOffset + 22, true), entry.size, `${entry.name} のサイズ`);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entry.data = zip.subarray(dataStart, dataStart + entry.compressedSize);
+
+        entries.push(entry);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+test('CRC-32', () => {
+    // 検査用の標準値
+    assert.strictEqual(Zip.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(Zip.crc32(new Uint8Array(0)), 0);
+});
+
+test('日本語のファイル名・CRC-32・サイズをセントラルディレクトリから読み直せる', () => {
+    const teams = [{ name: 'ほのおチーム' }, { name: 'くさ/みず' }, { name: 'ほのおチーム' }, { name: '' }];
+    const names = CHENames.getTeamFilenames(teams);
+    const datas = [
+        new Uint8Array(24512).map((_, i) => (i * 7) & 0xFF),
+        new TextEncoder().encode('CETD'),
+        new Uint8Array(0),
+        new Uint8Array(300).fill(0xCD).buffer
+    ];
+    const zip = new Uint8Array(Zip.create(names.map((name, i) => ({ name, data: datas[i] }))));
+
+    const entries = readCentralDirectory(zip);
+    assert.deepStrictEqual(entries.map(e => e.name), ['ほのおチーム.CHE', 'くさ_みず.CHE', 'ほのおチーム (2).CHE', 'team.CHE']);
+    entries.forEach((entry, i) => {
+        const data = new Uint8Array(datas[i]);
+        assert.strictEqual(entry.flags & FLAG_UTF8, FLAG_UTF8, `${entry.name} のUTF-8フラグ`);
+        assert.strictEqual(entry.method, 0, `${entry.name} は無圧縮`);
+        assert.strictEqual(entry.size, data.length, `${entry.name} のサイズ`);
+        assert.strictEqual(entry.compressedSize, data.length, `${entry.name} の圧縮後サイズ`);
+        assert.strictEqual(entry.crc, zlib.crc32(data), `${entry.name} のCRC-32`);
+        assert.deepStrictEqual(entry.data, data, `${entry.name} のデータ`);
+    });
+});
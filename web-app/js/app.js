@@ -21,28 +21,33 @@ const App = {
      */
     initTabs: function () {
         const tabs = document.querySelectorAll('.tab-btn');
-        const panels = document.querySelectorAll('.tab-panel');
 
         tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                // アクティブ状態を切り替え
-                tabs.forEach(t => t.classList.remove('active'));
-                panels.forEach(p => p.classList.remove('active'));
-
-                tab.classList.add('active');
-                const panelId = tab.dataset.tab;
-                document.getElementById(panelId).classList.add('active');
-
-                // 集計結果タブを開いた時、データがあれば自動集計
-                if (panelId === 'result-calc' && window.ResultCalc) {
-                    if (window.TableViewer && TableViewer.teams && TableViewer.teams.length > 0) {
-                        ResultCalc.calculate();
-                    }
-                }
-            });
+            tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
         });
     },
 
+    /**
+     * タブを切り替える
+     * @param {string} panelId - 表示するタブパネルのID
+     */
+    switchTab: function (panelId) {
+        const tabs = document.querySelectorAll('.tab-btn');
+        const panels = document.querySelectorAll('.tab-panel');
+
+        // アクティブ状態を切り替え
+        tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === panelId));
+        panels.forEach(p => p.classList.remove('active'));
+        document.getElementById(panelId).classList.add('active');
+
+        // 集計結果タブを開いた時、データがあれば自動集計
+        if (panelId === 'result-calc' && window.ResultCalc) {
+            if (window.TableViewer && TableViewer.teams && TableViewer.teams.length > 0) {
+                ResultCalc.calculate();
+            }
+        }
+    },
+
     /**
      * ドロップゾーン初期化
      */
@@ -94,6 +99,7 @@ const App = {
         TeamEditor.init();
         TableViewer.init();
         ResultCalc.init();
+        HexInspector.init();
     },
 
     /**
@@ -117,20 +123,28 @@ const App = {
         const reader = new FileReader();
 
         reader.onload = (e) => {
-            try {
-                const buffer = e.target.result;
-                const data = CHEParser.parse(buffer);
+            const buffer = e.target.result;
+            const { data, diagnostics, error } = CHEValidator.diagnose(buffer);
+
+            if (!data) {
+                // 読み込めなかったファイルも、理由をファイルリストの診断結果に出す（他のタブでは使わないためデータは持たない）
+                console.error('Parse error:', error);
+                this.addLoadedFile(file.name, 'error', diagnostics);
+                this.showToast(this.describeReadError(file.name, error), 'error');
+                return;
+            }
 
-                // ファイルリストに追加
-                this.addLoadedFile(file.name, data.type);
+            try {
+                // 構造チェック結果と一緒にファイルリストに追加
+                const fileIndex = this.addLoadedFile(file.name, data.type, diagnostics, buffer);
 
                 // 各モジュールにデータを渡す
                 if (data.type === 'team') {
-                    TeamEditor.addTeamsFromFile(data, file.name);
+                    TeamEditor.addTeamsFromFile(data, file.name, fileIndex);
                     this.showToast(`${file.name} (チームデータ) を読み込みました`, 'success');
                 } else if (data.type === 'match') {
                     // マッチデータ内のチームもエディタに追加
-                    TeamEditor.addTeamsFromFile(data, file.name);
+                    TeamEditor.addTeamsFromFile(data, file.name, fileIndex);
 
                     TableViewer.setMatchData(data);
                     // ResultCalcは自動的にTableViewerからデータを取得
@@ -138,8 +152,8 @@ const App = {
                 }
 
             } catch (error) {
-                console.error('Parse error:', error);
-                this.showToast(`${file.name} の読み込みに失敗しました: ${error.message}`, 'error');
+                console.error('Load error:', error);
+                this.showToast(this.describeReadError(file.name, error), 'error');
             }
         };
 
@@ -152,10 +166,41 @@ const App = {
 
     /**
      * 読み込み済みファイルリストに追加
+     * @param {string} type - 'team' / 'match' / 'error'（読み込めなかったファイル。bufferはnull）
+     * @returns {number} 追加したファイルのインデックス
      */
-    addLoadedFile: function (filename, type) {
-        this.loadedFiles.push({ filename, type });
+    addLoadedFile: function (filename, type, diagnostics = [], buffer = null) {
+        this.loadedFiles.push({ filename, type, diagnostics, buffer });
         this.renderFileList();
+        HexInspector.refresh();
+        TeamEditor.renderBaseOptions();
+        return this.loadedFiles.length - 1;
+    },
+
+    /**
+     * 読み込みエラーのメッセージ
+     * CHEParseErrorは種類ごとの見出しを付ける（メッセージ本文に問題のオフセットが入っている）
+     * @param {string} filename - ファイル名
+     * @param {Error} error - CHEParser.parseが投げたエラー
+     * @returns {string}
+     */
+    describeReadError: function (filename, error) {
+        if (!(error instanceof CHEParseError)) {
+            return `${filename} の読み込みに失敗しました: ${error.message}`;
+        }
+
+        const titles = {
+            [CHEParseError.UNKNOWN_FORMAT]: 'CHEファイルではありません',
+            [CHEParseError.TRUNCATED_HEADER]: 'ファイルがヘッダーの途中で切れています',
+            [CHEParseError.TRUNCATED_RECORD]: 'チームデータが途中で切れています',
+            [CHEParseError.BAD_RECORD_MAGIC]: 'チームデータの連結が壊れています',
+            [CHEParseError.BAD_TEAM_COUNT]: 'チーム数が壊れています',
+            [CHEParseError.SLOT_OVERFLOW]: 'マッチデータがチームの途中で切れています',
+            [CHEParseError.TRUNCATED_RESULTS]: 'マッチデータが勝敗データの途中で切れています',
+            [CHEParseError.OKE_BLOCK_OVERFLOW]: 'マッチデータがOKEの途中で切れています'
+        };
+        const title = titles[error.code] || 'ファイルが壊れています';
+        return `${filename} を読み込めません（${title}）: ${error.message}`;
     },
 
     /**
@@ -173,16 +218,217 @@ const App = {
         container.classList.remove('hidden');
         list.innerHTML = '';
 
-        this.loadedFiles.forEach(file => {
+        const labels = { team: 'Team', match: 'Match', error: 'Error' };
+        this.loadedFiles.forEach((file, index) => {
             const li = document.createElement('li');
             li.innerHTML = `
-                <span class="file-type ${file.type}">${file.type === 'team' ? 'Team' : 'Match'}</span>
+                <span class="file-type ${file.type}">${labels[file.type]}</span>
                 <span>${file.filename}</span>
             `;
+
+            // マッチファイルで警告・エラーが見つかった場合は修復ボタンを表示（情報のみなら修復するものはない）
+            const hasProblems = (file.diagnostics || []).some(d => d.level !== CHEValidator.LEVEL_INFO);
+            if (file.type === 'match' && file.buffer && hasProblems) {
+                const repairBtn = document.createElement('button');
+                repairBtn.className = 'btn-sm';
+                repairBtn.textContent = '修復';
+                repairBtn.title = '既知の不整合を修復したコピーをダウンロード';
+                repairBtn.addEventListener('click', () => this.repairFile(index));
+                li.appendChild(repairBtn);
+            }
+
+            li.appendChild(this.renderDiagnostics(file.diagnostics || []));
+            if (file.repairProblems) {
+                li.appendChild(this.renderRepairChoices(index, file.repairProblems));
+            }
+            if (file.repairLog) {
+                li.appendChild(this.renderRepairLog(file.repairLog));
+            }
             list.appendChild(li);
         });
     },
 
+    /**
+     * 読み込み済みマッチファイルを修復してダウンロード
+     * 範囲外・空ブロックを指すOKEインデックスがあれば、先に参照先を選ぶ欄を表示する
+     * @param {number} index - loadedFilesのインデックス
+     */
+    repairFile: function (index) {
+        const file = this.loadedFiles[index];
+        if (!file || !file.buffer) return;
+
+        try {
+            const found = CHERepair.findOkeIndexProblems(file.buffer);
+            if (found.problems.length > 0) {
+                file.repairProblems = found;
+                this.renderFileList();
+                this.showToast(`${file.filename}: 参照先のOKEブロックを選んでから修復してください`, 'info');
+                return;
+            }
+            this.runRepair(index, {});
+        } catch (e) {
+            console.error('Repair error:', e);
+            this.showToast(`${file.filename} の修復に失敗しました: ${e.message}`, 'error');
+        }
+    },
+
+    /**
+     * 選んだ参照先で修復し、修復したコピーをダウンロード
+     * @param {number} index - loadedFilesのインデックス
+     * @param {Object} choices - CHERepair.repairMatchFileのchoices
+     */
+    runRepair: function (index, choices) {
+        const file = this.loadedFiles[index];
+
+        try {
+            const result = CHERepair.repairMatchFile(file.buffer, choices);
+            const filename = file.filename.replace(/\.che$/i, '') + '_fixed.CHE';
+
+            // 修復内容と変更しなかった箇所はファイルリストの診断結果の下に出す
+            file.repairProblems = null;
+            file.repairLog = { filename: result.changes.length > 0 ? filename : null, changes: result.changes, unresolved: result.unresolved };
+            this.renderFileList();
+            if (result.changes.length === 0) {
+                this.showToast(`${file.filename}: 修復できる箇所はありませんでした`, 'info');
+                return;
+            }
+
+            TeamEditor.downloadFile(result.buffer, filename);
+            const skipped = result.unresolved.length > 0 ? `、参照先を選ばなかった${result.unresolved.length}箇所は未変更` : '';
+            this.showToast(`${result.changes.length}箇所を修復しました (${filename})${skipped}`, 'success');
+        } catch (e) {
+            console.error('Repair error:', e);
+            this.showToast(`${file.filename} の修復に失敗しました: ${e.message}`, 'error');
+        }
+    },
+
+    /**
+     * 範囲外・空ブロックを指すOKEインデックスの参照先を選ぶ欄
+     * 既定は「変更しない」で、利用者が選んだものだけを書き換える
+     * @param {number} index - loadedFilesのインデックス
+     * @param {Object} found - CHERepair.findOkeIndexProblemsの戻り値
+     * @returns {HTMLElement}
+     */
+    renderRepairChoices: function (index, found) {
+        const form = document.createElement('div');
+        form.className = 'repair-choices';
+
+        const selects = found.problems.map(problem => {
+            const row = document.createElement('label');
+            row.textContent = problem.message + ' → ';
+
+            const select = document.createElement('select');
+            select.dataset.offset = problem.offset;
+            select.add(new Option('変更しない', ''));
+            select.add(new Option('未使用にする', String(CHEParser.OKE_UNUSED_INDEX)));
+            found.candidates.forEach(block => {
+                select.add(new Option(`Block ${block.index}: ${block.name || '(名前なし)'}`, String(block.index)));
+            });
+            row.appendChild(select);
+            form.appendChild(row);
+            return select;
+        });
+
+        const apply = document.createElement('button');
+        apply.className = 'btn-sm';
+        apply.textContent = '選んだ参照先で修復';
+        apply.addEventListener('click', () => {
+            const choices = {};
+            selects.forEach(select => {
+                if (select.value !== '') choices[select.dataset.offset] = Number(select.value);
+            });
+            this.runRepair(index, choices);
+        });
+
+        const cancel = document.createElement('button');
+        cancel.className = 'btn-sm';
+        cancel.textContent = 'キャンセル';
+        cancel.addEventListener('click', () => {
+            this.loadedFiles[index].repairProblems = null;
+            this.renderFileList();
+        });
+
+        form.appendChild(apply);
+        form.appendChild(cancel);
+        return form;
+    },
+
+    /**
+     * 構造チェック結果を描画
+     * @param {Array} diagnostics - CHEValidator.validateの戻り値
+     * @returns {HTMLElement}
+     */
+    renderDiagnostics: function (diagnostics) {
+        const counts = CHEValidator.summarize(diagnostics);
+
+        if (diagnostics.length === 0) {
+            const ok = document.createElement('span');
+            ok.className = 'diag-badge ok';
+            ok.textContent = 'OK';
+            return ok;
+        }
+
+        const details = document.createElement('details');
+        details.className = 'file-diagnostics';
+
+        const summary = document.createElement('summary');
+        if (counts.error) summary.innerHTML += `<span class="diag-badge error">エラー ${counts.error}</span>`;
+        if (counts.warning) summary.innerHTML += `<span class="diag-badge warning">警告 ${counts.warning}</span>`;
+        if (counts.info) summary.innerHTML += `<span class="diag-badge info">情報 ${counts.info}</span>`;
+        details.appendChild(summary);
+
+        details.appendChild(this.renderDiagnosticItems(diagnostics));
+
+        return details;
+    },
+
+    /**
+     * 修復結果（修復した箇所・参照先を選ばず変更しなかった箇所）を描画
+     * @param {Object} log - { filename: 修復したコピーのファイル名（変更なしならnull）, changes, unresolved }
+     * @returns {HTMLElement}
+     */
+    renderRepairLog: function (log) {
+        const details = document.createElement('details');
+        details.className = 'file-diagnostics';
+        details.open = true;
+
+        const summary = document.createElement('summary');
+        summary.innerHTML = `<span class="diag-badge ok">修復 ${log.changes.length}</span>`;
+        if (log.unresolved.length > 0) {
+            summary.innerHTML += `<span class="diag-badge warning">未変更 ${log.unresolved.length}</span>`;
+        }
+        summary.appendChild(document.createTextNode(log.filename ? ` ${log.filename}` : ' 修復できる箇所はありませんでした'));
+        details.appendChild(summary);
+
+        const items = log.changes.map(c => ({ level: CHEValidator.LEVEL_INFO, offset: c.offset, message: c.message }))
+            .concat(log.unresolved.map(u => ({ level: CHEValidator.LEVEL_WARNING, offset: u.offset, message: u.message })))
+            .sort((a, b) => a.offset - b.offset);
+        details.appendChild(this.renderDiagnosticItems(items));
+
+        return details;
+    },
+
+    /**
+     * 診断結果の一覧（オフセット + メッセージ）
+     * @param {Array} diagnostics - [{ level, offset, message }]
+     * @returns {HTMLElement}
+     */
+    renderDiagnosticItems: function (diagnostics) {
+        const ul = document.createElement('ul');
+        diagnostics.forEach(d => {
+            const item = document.createElement('li');
+            item.className = `diag-${d.level}`;
+
+            const offset = document.createElement('code');
+            offset.textContent = '0x' + d.offset.toString(16).toUpperCase().padStart(5, '0');
+            item.appendChild(offset);
+            item.appendChild(document.createTextNode(' ' + d.message));
+
+            ul.appendChild(item);
+        });
+        return ul;
+    },
+
     /**
      * トースト通知を表示
      */
@@ -207,6 +453,7 @@ const App = {
         TeamEditor.reset();
         TableViewer.reset();
         ResultCalc.reset();
+        HexInspector.reset();
 
         this.showToast('リセットしました', 'success');
     }
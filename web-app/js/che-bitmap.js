@@ -0,0 +1,192 @@
+/**
+ * CHE Bitmap - 4bppビットマップ（チームアイコン・OKE外見）のデコード
+ * 1バイトに2ピクセル（下位ニブルが先）、パレットインデックス0は透明として扱う
+ */
+
+const CHEBitmap = {
+    // チームアイコンの格納位置 [オフセット, バイト数]
+    // match.CHEはスロット内で2つに分かれている (20 + 48 = 68バイト = 136ピクセル)
+    SLOT_ICON_SEGMENTS: [[0x000, 20], [0x084, 48]],
+    // team.CHEは 0x148-0x237 (240バイト = 480ピクセル)
+    TEAM_ICON_SEGMENTS: [[0x148, 240]],
+
+    // 横幅（推定）: どちらの領域も区切りが行境界になる値を採用
+    SLOT_ICON_WIDTH: 8,
+    TEAM_ICON_WIDTH: 16,
+
+    // OKEの外見データ
+    // スロット内 0x148-0x33F (504バイト) をOKE 3体で等分 (168バイト = 16x21ピクセル、推定)
+    SLOT_OKE_BITMAP_OFFSET: 0x148,
+    SLOT_OKE_BITMAP_SIZE: 168,
+    SLOT_OKE_BITMAP_WIDTH: 16,
+    // OKEブロック: パレット +0x0000、ビットマップ +0x0080 (7188バイト、横幅は未確定)
+    BLOCK_PALETTE_OFFSET: 0x0000,
+    BLOCK_BITMAP_OFFSET: 0x0080,
+    BLOCK_BITMAP_SIZE: 7188,
+    BLOCK_BITMAP_WIDTH: 64,
+
+    cache: new WeakMap(),   // rawBuffer -> dataURL（空アイコンは null）
+
+    /**
+     * 4bppビットマップをRGBAに展開
+     * @param {Uint8Array} bytes - 元データ
+     * @param {Array} segments - [[オフセット, バイト数], ...]（連結して1枚の画像とする）
+     * @param {number} width - 横幅（ピクセル）
+     * @param {Array} colors - パレット [{ r, g, b, a }] x 16
+     * @returns {Object|null} { width, height, pixels: Uint8ClampedArray, empty }
+     */
+    decode4bpp: function (bytes, segments, width, colors) {
+        const indices = [];
+        for (const [offset, length] of segments) {
+            if (offset + length > bytes.length) return null;
+            for (let i = offset; i < offset + length; i++) {
+                indices.push(bytes[i] & 0x0F, bytes[i] >> 4);
+            }
+        }
+
+        const height = Math.ceil(indices.length / width);
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        let empty = true;
+
+        indices.forEach((index, p) => {
+            if (index === 0) return; // 透明
+            const color = colors[index] || { r: 0, g: 0, b: 0 };
+            pixels[p * 4] = color.r;
+            pixels[p * 4 + 1] = color.g;
+            pixels[p * 4 + 2] = color.b;
+            pixels[p * 4 + 3] = 255;
+            empty = false;
+        });
+
+        return { width, height, pixels, empty };
+    },
+
+    /**
+     * チームのアイコンをデコード
+     * match.CHE由来はスロット、team.CHE由来はファイル全体をrawBufferに持っている
+     * @param {Object} team - CHEParserのチーム
+     */
+    decodeTeamIcon: function (team) {
+        if (!team || !team.rawBuffer || !team.colors) return null;
+
+        const bytes = new Uint8Array(team.rawBuffer);
+        return team.isMatchDerived
+            ? this.decode4bpp(bytes, this.SLOT_ICON_SEGMENTS, this.SLOT_ICON_WIDTH, team.colors)
+            : this.decode4bpp(bytes, this.TEAM_ICON_SEGMENTS, this.TEAM_ICON_WIDTH, team.colors);
+    },
+
+    /**
+     * RGBAパレット（16色 x 4バイト）を読み込む
+     */
+    readPalette: function (bytes, offset) {
+        const colors = [];
+        for (let i = 0; i < 16; i++) {
+            const o = offset + i * 4;
+            colors.push({ r: bytes[o], g: bytes[o + 1], b: bytes[o + 2], a: bytes[o + 3] });
+        }
+        return colors;
+    },
+
+    /**
+     * チームのOKE 3体の外見をデコード
+     * match.CHE由来はスロットの外見データと参照先OKEブロックのビットマップ、
+     * team.CHE由来は外見データを持たないため名前とパレット（プログラム +0x230）のみ
+     * @param {Object} team - CHEParserのチーム
+     * @param {number} blockWidth - OKEブロックのビットマップ横幅
+     * @returns {Array} [{ okeNum, blockIndex, name, colors, thumb, bitmap }]
+     */
+    decodeOkeImages: function (team, blockWidth = this.BLOCK_BITMAP_WIDTH) {
+        if (!team || !team.rawBuffer) return [];
+
+        const P = CHEParser;
+        const bytes = new Uint8Array(team.rawBuffer);
+        const okes = [];
+
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            if (!team.isMatchDerived) {
+                const program = 0x374 + okeNum * P.OKE_BLOCK_SIZE;
+                if (program + P.OKE_BLOCK_SIZE > bytes.length) break;
+                okes.push({
+                    okeNum: okeNum,
+                    blockIndex: null,
+                    name: P.readSJISString(bytes, program, 24),
+                    colors: this.readPalette(bytes, program + 0x230),
+                    thumb: null,
+                    bitmap: null
+                });
+                continue;
+            }
+
+            const blockIndex = P.readUint32(bytes, P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE) >>> 0;
+            const block = (team.okeBlocks || []).find(b => b.originalIndex === blockIndex);
+            const blockBytes = block ? new Uint8Array(block.data) : null;
+            const colors = blockBytes ? this.readPalette(blockBytes, this.BLOCK_PALETTE_OFFSET) : team.colors;
+
+            const thumbOffset = this.SLOT_OKE_BITMAP_OFFSET + okeNum * this.SLOT_OKE_BITMAP_SIZE;
+            okes.push({
+                okeNum: okeNum,
+                blockIndex: blockIndex === P.OKE_UNUSED_INDEX ? null : blockIndex,
+                name: blockBytes ? P.readSJISString(blockBytes, 0x1C94, 24) : '',
+                colors: colors,
+                thumb: this.decode4bpp(bytes, [[thumbOffset, this.SLOT_OKE_BITMAP_SIZE]], this.SLOT_OKE_BITMAP_WIDTH, colors),
+                bitmap: blockBytes
+                    ? this.decode4bpp(blockBytes, [[this.BLOCK_BITMAP_OFFSET, this.BLOCK_BITMAP_SIZE]], blockWidth, colors)
+                    : null
+            });
+        }
+
+        return okes;
+    },
+
+    /**
+     * デコード結果をcanvasに描画
+     * @returns {HTMLCanvasElement}
+     */
+    toCanvas: function (image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.pixels, image.width, image.height), 0, 0);
+        return canvas;
+    },
+
+    /**
+     * チームアイコンのdataURL（アイコンが空なら null）
+     */
+    getTeamIconUrl: function (team) {
+        if (!team || !team.rawBuffer) return null;
+        if (this.cache.has(team.rawBuffer)) return this.cache.get(team.rawBuffer);
+
+        const image = this.decodeTeamIcon(team);
+        const url = image && !image.empty ? this.toCanvas(image).toDataURL() : null;
+        this.cache.set(team.rawBuffer, url);
+        return url;
+    },
+
+    /**
+     * チームアイコンの<img>要素（アイコンが空なら null）
+     */
+    createTeamIcon: function (team) {
+        const url = this.getTeamIconUrl(team);
+        if (!url) return null;
+
+        const img = document.createElement('img');
+        img.className = 'team-icon';
+        img.src = url;
+        img.alt = '';
+        return img;
+    },
+
+    /**
+     * HTML文字列で描画する表向けの<img>タグ（アイコンが空なら空文字）
+     */
+    teamIconHtml: function (team) {
+        const url = this.getTeamIconUrl(team);
+        return url ? `<img class="team-icon" src="${url}" alt="">` : '';
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHEBitmap;
+}
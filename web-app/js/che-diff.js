@@ -0,0 +1,171 @@
+/**
+ * CHE Diff - 2つのCHEファイルをフィールド単位で比較
+ * CHELayoutのフィールドマップで差分を構造ごとにまとめ、両側のデコード値を返す
+ */
+
+const CHEDiff = {
+    MAX_RANGES: 8,   // 1フィールドあたりに列挙する差分範囲の上限
+
+    /**
+     * 2つのファイルを比較
+     * 同じ形式同士はファイル全体、CETDとCEMDはチームとマッチファイルの1スロットを比較する
+     * @param {Object} a - { type, buffer }
+     * @param {Object} b - { type, buffer }
+     * @param {Object} options - { slot: CETD-CEMD比較時のスロット番号 (0-15) }
+     * @returns {Array} 差分 [{ section, name, type, offsetA, offsetB, size, ranges, valueA, valueB }]
+     */
+    diff: function (a, b, options = {}) {
+        const bytesA = new Uint8Array(a.buffer);
+        const bytesB = new Uint8Array(b.buffer);
+        let pairs;
+
+        if (a.type === b.type) {
+            pairs = this.buildSameTypePairs(a.type, bytesA, bytesB);
+        } else {
+            const slot = options.slot || 0;
+            pairs = a.type === 'team'
+                ? this.buildTeamSlotPairs(bytesB, slot)
+                : this.buildTeamSlotPairs(bytesA, slot).map(p => Object.assign({}, p, { offsetA: p.offsetB, offsetB: p.offsetA }));
+        }
+
+        const entries = [];
+        pairs.forEach(pair => {
+            const entry = this.comparePair(bytesA, bytesB, pair);
+            if (entry) entries.push(entry);
+        });
+
+        if (a.type === b.type && bytesA.length !== bytesB.length) {
+            const common = Math.min(bytesA.length, bytesB.length);
+            entries.push({
+                section: 'ファイル', name: 'ファイルサイズ', type: 'size',
+                offsetA: common, offsetB: common, size: Math.abs(bytesA.length - bytesB.length),
+                ranges: [],
+                valueA: `${bytesA.length} バイト`,
+                valueB: `${bytesB.length} バイト`
+            });
+        }
+
+        return entries;
+    },
+
+    /**
+     * 同じ形式同士: 同じオフセットのフィールドを比較
+     */
+    buildSameTypePairs: function (type, bytesA, bytesB) {
+        const common = Math.min(bytesA.length, bytesB.length);
+        return CHELayout.getFields(type, common).map(f => ({
+            section: f.section, name: f.name, type: f.type,
+            offsetA: f.offset, offsetB: f.offset, size: f.size
+        }));
+    },
+
+    /**
+     * CETDとCEMDのスロット: 対応が分かっている領域だけを比較
+     * offsetAがteam.CHE側、offsetBがmatch.CHE側
+     * @param {Uint8Array} matchBytes - CEMDファイルデータ
+     * @param {number} slot - スロット番号 (0-15)
+     */
+    buildTeamSlotPairs: function (matchBytes, slot) {
+        const P = CHEParser;
+        const slotStart = P.SLOT_START_OFFSET + slot * P.SLOT_SIZE;
+        const S = `Slot ${slot + 1}`;
+        const pairs = [
+            { section: S, name: 'カラーパレット', type: 'rgba', offsetA: 0x240, offsetB: slotStart + 0x014, size: 64 },
+            { section: S, name: 'チーム名', type: 'sjis', offsetA: 0x280, offsetB: slotStart + 0x054, size: 24 },
+            { section: S, name: 'オーナー名', type: 'sjis', offsetA: 0x298, offsetB: slotStart + 0x06C, size: 24 }
+        ];
+
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            const label = `OKE${okeNum + 1}`;
+            const summaryA = P.TEAM_OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+            const summaryB = slotStart + P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+            pairs.push(
+                { section: S, name: `${label} ブロックインデックス`, type: 'u32', offsetA: summaryA, offsetB: summaryB, size: 4 },
+                { section: S, name: `${label} マジック`, type: 'u32', offsetA: summaryA + 4, offsetB: summaryB + 4, size: 4 },
+                { section: S, name: `${label} フラグ`, type: 'u32', offsetA: summaryA + 8, offsetB: summaryB + 8, size: 4 },
+                { section: S, name: `${label} 統計データ`, type: 'bytes', offsetA: summaryA + 12, offsetB: summaryB + 12, size: 36 }
+            );
+
+            // スロットが参照するOKEブロックとteam.CHEのOKEプログラムを比較
+            const index = P.readUint32(matchBytes, summaryB) >>> 0;
+            if (index >= P.MAX_OKE_BLOCKS) continue;
+
+            const program = 0x374 + okeNum * P.OKE_BLOCK_SIZE;
+            const block = P.OKE_BLOCK_START + index * P.OKE_BLOCK_SIZE;
+            const B = `${label} ↔ OKE Block ${index}`;
+            pairs.push(
+                { section: B, name: 'パレット (+0x230 ↔ +0x0000)', type: 'rgba', offsetA: program + 0x230, offsetB: block, size: 64 },
+                { section: B, name: 'OKE名 (+0x000 ↔ +0x1C94)', type: 'sjis', offsetA: program, offsetB: block + 0x1C94, size: 24 },
+                { section: B, name: 'サマリー (+0x018 ↔ +0x1CAC)', type: 'bytes', offsetA: program + 24, offsetB: block + 0x1CAC, size: 532 }
+            );
+        }
+
+        return pairs;
+    },
+
+    /**
+     * 1組のフィールドを比較し、差分があればエントリを返す
+     */
+    comparePair: function (bytesA, bytesB, pair) {
+        const size = Math.min(pair.size, bytesA.length - pair.offsetA, bytesB.length - pair.offsetB);
+        if (size <= 0) return null;
+
+        // 差分のあるバイト範囲（フィールド先頭からの相対位置）
+        const ranges = [];
+        let start = -1;
+        for (let i = 0; i <= size; i++) {
+            const differs = i < size && bytesA[pair.offsetA + i] !== bytesB[pair.offsetB + i];
+            if (differs && start < 0) {
+                start = i;
+            } else if (!differs && start >= 0) {
+                ranges.push({ start: start, length: i - start });
+                start = -1;
+            }
+        }
+        if (ranges.length === 0) return null;
+
+        const fieldA = { offset: pair.offsetA, size: size, type: pair.type };
+        const fieldB = { offset: pair.offsetB, size: size, type: pair.type };
+        const isBlob = pair.type === 'bytes';
+
+        return {
+            section: pair.section,
+            name: pair.name,
+            type: pair.type,
+            offsetA: pair.offsetA,
+            offsetB: pair.offsetB,
+            size: size,
+            ranges: ranges,
+            // バイト列は差分範囲だけを並べる（数千バイトの領域もあるため）
+            valueA: isBlob ? this.formatRanges(bytesA, pair.offsetA, ranges) : CHELayout.decode(bytesA, fieldA),
+            valueB: isBlob ? this.formatRanges(bytesB, pair.offsetB, ranges) : CHELayout.decode(bytesB, fieldB)
+        };
+    },
+
+    /**
+     * 差分範囲のバイト列を「+0x2C: 01 00」の形式で並べる
+     */
+    formatRanges: function (bytes, base, ranges) {
+        const parts = ranges.slice(0, this.MAX_RANGES).map(r => {
+            const slice = bytes.subarray(base + r.start, base + r.start + Math.min(r.length, 16));
+            const hex = Array.from(slice, v => v.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+            return `+0x${r.start.toString(16).toUpperCase()}: ${hex}${r.length > 16 ? ' …' : ''}`;
+        });
+        if (ranges.length > this.MAX_RANGES) {
+            parts.push(`他 ${ranges.length - this.MAX_RANGES} 箇所`);
+        }
+        return parts.join(' / ');
+    },
+
+    /**
+     * 差分の合計バイト数
+     */
+    countBytes: function (entries) {
+        return entries.reduce((sum, e) => sum + e.ranges.reduce((s, r) => s + r.length, 0), 0);
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHEDiff;
+}
@@ -0,0 +1,428 @@
+/**
+ * CHE Document - CHEファイル（CEMD/CETD）のドキュメントモデル
+ * 読み込んだバイト列をそのまま保持し、既知のフィールドは型付きのアクセサで、未解明の領域は生のバイト列ビューで扱う。
+ * 書き込みはすべて保持しているバイト列への上書きなので、何も変更しなければ serialize() は元のファイルと一致する。
+ * オフセットは MATCH_CHE_FORMAT.md / CHELayout と同じ（fields() は CHELayout を使うため、Node.jsでも先に読み込んでおく）
+ */
+
+/**
+ * ファイル内の領域（スロット・OKEブロック・チームレコード等）の共通部分
+ */
+class CHERegion {
+    /**
+     * @param {CHEDocument} doc - 所属するドキュメント
+     * @param {number} offset - ファイル内の先頭オフセット
+     * @param {number} size - 領域のサイズ
+     */
+    constructor(doc, offset, size) {
+        this.doc = doc;
+        this.offset = offset;
+        this.size = size;
+    }
+
+    /**
+     * 領域全体のバイト列ビュー（書き込むとドキュメントに反映される）
+     * @returns {Uint8Array}
+     */
+    get bytes() {
+        return this.raw(0, this.size);
+    }
+
+    /**
+     * 領域内の一部のバイト列ビュー（ファイル末尾を超える部分は含まない）
+     * @param {number} offset - 領域内オフセット
+     * @param {number} size - サイズ
+     * @returns {Uint8Array}
+     */
+    raw(offset, size) {
+        return this.doc.bytes.subarray(this.offset + offset, this.offset + offset + size);
+    }
+
+    getUint32(offset) {
+        return CHEParser.readUint32(this.doc.bytes, this.offset + offset) >>> 0;
+    }
+
+    setUint32(offset, value) {
+        this.doc.view.setUint32(this.offset + offset, value >>> 0, true);
+    }
+
+    getFloat32(offset) {
+        return CHEParser.readFloat32(this.doc.bytes, this.offset + offset);
+    }
+
+    setFloat32(offset, value) {
+        this.doc.view.setFloat32(this.offset + offset, value, true);
+    }
+
+    getString(offset, length = CHEParser.NAME_MAX_BYTES) {
+        return CHEParser.readSJISString(this.doc.bytes, this.offset + offset, length);
+    }
+
+    setString(offset, value, length = CHEParser.NAME_MAX_BYTES) {
+        CHEParser.writeSJISString(this.doc.bytes, this.offset + offset, value, length);
+    }
+
+    /**
+     * カラーパレット（RGBA x 16）を色オブジェクトの配列として読む
+     * @param {number} offset - 領域内オフセット
+     * @returns {Array} [{ r, g, b, a }]
+     */
+    getColors(offset) {
+        const palette = this.raw(offset, 64);
+        const colors = [];
+        for (let i = 0; i + 3 < palette.length; i += 4) {
+            colors.push({ r: palette[i], g: palette[i + 1], b: palette[i + 2], a: palette[i + 3] });
+        }
+        return colors;
+    }
+}
+
+/**
+ * OKEサマリー（48バイト）: スロット +0x0B8 / team.CHE +0x2E4 に3つずつ
+ * 構造: [ブロックインデックス(4B)][マジック(4B)][フラグ(4B)][統計(36B)]
+ */
+class CHEOkeSummary extends CHERegion {
+    constructor(doc, offset, okeNum) {
+        super(doc, offset, CHEParser.OKE_SUMMARY_SIZE);
+        this.okeNum = okeNum;
+    }
+
+    // 参照するOKEブロック（未使用は0xFFFFFFFF）
+    get blockIndex() { return this.getUint32(0x00); }
+    set blockIndex(value) { this.setUint32(0x00, value); }
+
+    get isUnused() { return this.blockIndex === CHEParser.OKE_UNUSED_INDEX; }
+
+    get magic() { return this.getUint32(0x04); }
+    set magic(value) { this.setUint32(0x04, value); }
+
+    get flag() { return this.getUint32(0x08); }
+    set flag(value) { this.setUint32(0x08, value); }
+
+    // 統計データ（36バイト, 未解明）
+    get stats() { return this.raw(0x0C, 36); }
+}
+
+/**
+ * マッチファイルのチームスロット（832バイト）
+ */
+class CHEMatchSlot extends CHERegion {
+    constructor(doc, index) {
+        super(doc, CHEParser.SLOT_START_OFFSET + index * CHEParser.SLOT_SIZE, CHEParser.SLOT_SIZE);
+        this.index = index;
+    }
+
+    get icon1() { return this.raw(0x000, 20); }
+    get palette() { return this.raw(0x014, 64); }
+    get colors() { return this.getColors(0x014); }
+
+    get nameBytes() { return this.raw(0x054, 24); }
+    get name() { return this.getString(0x054); }
+    set name(value) { this.setString(0x054, value); }
+
+    get ownerBytes() { return this.raw(0x06C, 24); }
+    get owner() { return this.getString(0x06C); }
+    set owner(value) { this.setString(0x06C, value); }
+
+    get icon2() { return this.raw(0x084, 48); }
+
+    // チームID/登録順番号
+    get teamId() { return this.getUint32(0x0B4); }
+    set teamId(value) { this.setUint32(0x0B4, value); }
+
+    /**
+     * OKEサマリー
+     * @param {number} okeNum - OKE番号 (0-2)
+     * @returns {CHEOkeSummary}
+     */
+    okeSummary(okeNum) {
+        return new CHEOkeSummary(this.doc, this.offset + CHEParser.OKE_SUMMARY_OFFSET + okeNum * CHEParser.OKE_SUMMARY_SIZE, okeNum);
+    }
+
+    get okeSummaries() { return [0, 1, 2].map(okeNum => this.okeSummary(okeNum)); }
+
+    // OKEビットマップ（504バイト）
+    get bitmap() { return this.raw(0x148, 504); }
+
+    /**
+     * 未使用の状態にする（SML.CHEの未使用スロットと同じ内容）
+     */
+    clear() {
+        CHEParser.writeUnusedSlot(this.doc.bytes, this.index);
+    }
+}
+
+/**
+ * マッチファイルのOKEブロック（7,872バイト）
+ */
+class CHEOkeBlock extends CHERegion {
+    constructor(doc, index) {
+        super(doc, CHEParser.OKE_BLOCK_START + index * CHEParser.OKE_BLOCK_SIZE, CHEParser.OKE_BLOCK_SIZE);
+        this.index = index;
+    }
+
+    get palette() { return this.raw(0x0000, 64); }
+    get stats() { return this.raw(0x0040, 64); }
+    get bitmap() { return this.raw(0x0080, 7188); }
+
+    // サマリー（team.CHEのOKEプログラム先頭556バイトと同じ内容）
+    get summary() { return this.raw(0x1C94, 556); }
+    get name() { return this.getString(0x1C94); }
+    set name(value) { this.setString(0x1C94, value); }
+
+    get isEmpty() { return CHEParser.isOkeBlockEmpty(this.doc.bytes, this.index); }
+}
+
+/**
+ * team.CHEのOKEプログラム（7,872バイト）: レコード +0x374 から3つ
+ */
+class CHETeamProgram extends CHERegion {
+    constructor(doc, offset, okeNum) {
+        super(doc, offset, CHEParser.OKE_BLOCK_SIZE);
+        this.okeNum = okeNum;
+    }
+
+    // 名前・パラメータ・アイコン等（マッチファイルのOKEブロック +0x1C94 と同じ内容）
+    get summary() { return this.raw(0x000, 556); }
+    get name() { return this.getString(0x000); }
+    set name(value) { this.setString(0x000, value); }
+
+    get palette() { return this.raw(0x230, 64); }
+    get stats() { return this.raw(0x270, 0x60); }
+    get program() { return this.raw(0x2D0, 0x1EB0 - 0x2D0); }
+    get footer() { return this.raw(0x1EB0, 16); }
+
+    // OKEなし（名前が空/0xCDパディング）
+    get isEmpty() {
+        const first = this.doc.bytes[this.offset];
+        return first === undefined || first === 0 || first === 0xCD;
+    }
+}
+
+/**
+ * team.CHEのチームレコード（24,512バイト）
+ */
+class CHETeamRecord extends CHERegion {
+    constructor(doc, index) {
+        super(doc, index * CHEParser.TEAM_FILE_SIZE, CHEParser.TEAM_FILE_SIZE);
+        this.index = index;
+    }
+
+    get magic() { return CHEParser.readString(this.doc.bytes, this.offset, 4); }
+
+    get version() { return this.getUint32(0x004); }
+    set version(value) { this.setUint32(0x004, value); }
+
+    // 実体のあるOKE数
+    get okeCount() { return this.getUint32(0x030); }
+    set okeCount(value) { this.setUint32(0x030, value); }
+
+    get icon() { return this.raw(0x148, 0xF0); }
+    get palette() { return this.raw(0x240, 64); }
+    get colors() { return this.getColors(0x240); }
+
+    get nameBytes() { return this.raw(0x280, 24); }
+    get name() { return this.getString(0x280); }
+    set name(value) { this.setString(0x280, value); }
+
+    get ownerBytes() { return this.raw(0x298, 24); }
+    get owner() { return this.getString(0x298); }
+    set owner(value) { this.setString(0x298, value); }
+
+    okeSummary(okeNum) {
+        return new CHEOkeSummary(this.doc, this.offset + CHEParser.TEAM_OKE_SUMMARY_OFFSET + okeNum * CHEParser.OKE_SUMMARY_SIZE, okeNum);
+    }
+
+    get okeSummaries() { return [0, 1, 2].map(okeNum => this.okeSummary(okeNum)); }
+
+    /**
+     * OKEプログラム
+     * @param {number} okeNum - OKE番号 (0-2)
+     * @returns {CHETeamProgram}
+     */
+    program(okeNum) {
+        return new CHETeamProgram(this.doc, this.offset + 0x374 + okeNum * CHEParser.OKE_BLOCK_SIZE, okeNum);
+    }
+
+    get programs() { return [0, 1, 2].map(okeNum => this.program(okeNum)); }
+}
+
+class CHEDocument {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - ファイルデータ（コピーして保持するので元のバッファは変更されない）
+     */
+    constructor(buffer) {
+        const source = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.bytes = new Uint8Array(source);
+        this.view = new DataView(this.bytes.buffer);
+
+        const magic = this.magic;
+        if (magic === CHEParser.TYPE_MATCH) {
+            this.type = 'match';
+        } else if (magic === CHEParser.TYPE_TEAM) {
+            this.type = 'team';
+        } else {
+            throw new CHEParseError(CHEParseError.UNKNOWN_FORMAT, `先頭4バイトがCEMD/CETDではありません: ${magic || '(空)'}`, 0);
+        }
+    }
+
+    /**
+     * 空のマッチファイル（テンプレートなし）
+     * @param {Object} model - CHEParser.createBlankMatchFileと同じ
+     */
+    static createMatch(model = {}) {
+        return new CHEDocument(CHEParser.createBlankMatchFile(model));
+    }
+
+    /**
+     * 空のteam.CHE（ヘッダーのみ、OKEなし）
+     * @param {number} records - レコード数
+     */
+    static createTeam(records = 1) {
+        const bytes = new Uint8Array(CHEParser.TEAM_FILE_SIZE * records);
+        const view = new DataView(bytes.buffer);
+        for (let record = 0; record < records; record++) {
+            const base = record * CHEParser.TEAM_FILE_SIZE;
+            bytes.set([0x43, 0x45, 0x54, 0x44], base); // "CETD"
+            view.setUint32(base + 0x004, 0x1C, true);   // 観測値
+            view.setUint32(base + 0x008, 1, true);
+        }
+        return new CHEDocument(bytes);
+    }
+
+    /**
+     * ファイルデータとして書き出す
+     * @returns {ArrayBuffer} 保持しているバイト列のコピー
+     */
+    serialize() {
+        return this.bytes.slice().buffer;
+    }
+
+    get byteLength() { return this.bytes.length; }
+
+    // ===== ヘッダー（CEMD/CETD共通） =====
+
+    get magic() { return CHEParser.readString(this.bytes, 0, 4); }
+
+    // ===== CEMD =====
+
+    get headerSize() { return CHEParser.readUint32(this.bytes, 0x004) >>> 0; }
+
+    get version() { return CHEParser.readString(this.bytes, 0x008, 8); }
+
+    // 大会名（0x018、書き込みは 0x168 の大会名2にも）
+    get tournamentName() { return CHEParser.readSJISString(this.bytes, 0x018, CHEParser.NAME_MAX_BYTES); }
+    set tournamentName(value) {
+        CHEParser.writeSJISString(this.bytes, 0x018, value, CHEParser.NAME_MAX_BYTES);
+        CHEParser.writeSJISString(this.bytes, 0x168, value, CHEParser.NAME_MAX_BYTES);
+    }
+
+    get tournamentName2() { return CHEParser.readSJISString(this.bytes, 0x168, CHEParser.NAME_MAX_BYTES); }
+
+    // チーム数（0x034、書き込みは 0x184 にも）
+    get teamCount() { return CHEParser.readUint32(this.bytes, 0x034) >>> 0; }
+    set teamCount(value) {
+        this.view.setUint32(0x034, value, true);
+        this.view.setUint32(0x184, value, true);
+    }
+
+    // マッチ数（0x038、書き込みは 0x188 にも）
+    get matchCount() { return CHEParser.readUint32(this.bytes, 0x038) >>> 0; }
+    set matchCount(value) {
+        this.view.setUint32(0x038, value, true);
+        this.view.setUint32(0x188, value, true);
+    }
+
+    // 対戦設定（書き込みはヘッダーとフッター側の複製の両方、指定した項目のみ）
+    get settings() { return CHEParser.parseMatchSettings(this.bytes); }
+    set settings(value) { CHEParser.writeMatchSettings(this.bytes, value); }
+
+    // 勝敗データ領域（52バイト）
+    get resultArea() {
+        return this.bytes.subarray(CHEParser.RESULT_AREA_OFFSET, CHEParser.RESULT_AREA_OFFSET + CHEParser.RESULT_AREA_SIZE);
+    }
+
+    // 勝敗データの読み込みは未対応（CHEParser.extractMatchResults 参照）
+    getResults(teamCount = this.teamCount) {
+        return CHEParser.extractMatchResults(this.bytes, teamCount);
+    }
+
+    /**
+     * @returns {number} 書き込んだ対戦数
+     */
+    setResults(results, teamCount = this.teamCount) {
+        return CHEParser.writeMatchResults(this.bytes, results, teamCount);
+    }
+
+    /**
+     * チームスロット
+     * @param {number} index - スロット番号 (0-15)
+     * @returns {CHEMatchSlot}
+     */
+    slot(index) {
+        return new CHEMatchSlot(this, index);
+    }
+
+    // 全16スロット
+    get slots() {
+        return Array.from({ length: CHEParser.MAX_TEAMS }, (_, i) => this.slot(i));
+    }
+
+    /**
+     * OKEブロック
+     * @param {number} index - ブロックインデックス (0-30)
+     * @returns {CHEOkeBlock}
+     */
+    okeBlock(index) {
+        return new CHEOkeBlock(this, index);
+    }
+
+    get okeBlocks() {
+        return Array.from({ length: CHEParser.MAX_OKE_BLOCKS }, (_, i) => this.okeBlock(i));
+    }
+
+    // ===== CETD =====
+
+    // レコード数（末尾の端数は含まない。1レコードに満たないファイルは1）
+    get recordCount() {
+        return Math.max(1, Math.floor(this.bytes.length / CHEParser.TEAM_FILE_SIZE));
+    }
+
+    /**
+     * チームレコード
+     * @param {number} index - レコード番号
+     * @returns {CHETeamRecord}
+     */
+    record(index) {
+        return new CHETeamRecord(this, index);
+    }
+
+    get records() {
+        return Array.from({ length: this.recordCount }, (_, i) => this.record(i));
+    }
+
+    // ===== 生の領域 =====
+
+    /**
+     * CHELayoutのフィールド一覧にバイト列ビューを付けたもの
+     * @returns {Array} [{ offset, size, name, type, group, section, area, index, bytes }]
+     */
+    fields() {
+        return CHELayout.getFields(this.type, this.bytes.length).map(field => Object.assign({}, field, {
+            bytes: this.bytes.subarray(field.offset, field.offset + field.size)
+        }));
+    }
+
+    /**
+     * 型の付いていない領域（未解明・予約・アイコン等）のバイト列ビュー
+     * @returns {Array} fields() のうち type が 'bytes' のもの
+     */
+    unknownRegions() {
+        return this.fields().filter(field => field.type === 'bytes');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHEDocument;
+}
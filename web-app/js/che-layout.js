@@ -0,0 +1,299 @@
+/**
+ * CHE Layout - CHEファイルのフィールドマップ（MATCH_CHE_FORMAT.mdの表をデータ化したもの）
+ * バイナリインスペクタや差分表示でオフセットから構造名を引くために使う
+ */
+
+const CHELayout = {
+    // 領域の種類（表示色の切り替えに使う）
+    GROUP_NAMES: {
+        header: 'ヘッダー',
+        pair: '対戦マトリクス',
+        settings: '対戦設定',
+        slot: 'チームスロット',
+        summary: 'OKEサマリー',
+        result: '勝敗データ',
+        block: 'OKEブロック',
+        extra: '追加OKEデータ',
+        mirror: 'ヘッダー複製',
+        footer: 'フッター',
+        team: 'チーム情報',
+        program: 'OKEプログラム',
+        unknown: '未解明'
+    },
+
+    /**
+     * ファイル全体のフィールド一覧を取得（オフセット順、隙間なし）
+     * @param {string} type - 'match' または 'team'
+     * @param {number} byteLength - ファイルサイズ
+     * @returns {Array} [{ offset, size, name, type, group, section, area, index }]
+     */
+    getFields: function (type, byteLength) {
+        const fields = type === 'match' ? this.buildMatchFields() : this.buildTeamFields(byteLength);
+        return this.fillGaps(fields.filter(f => f.offset < byteLength), byteLength);
+    },
+
+    /**
+     * マッチファイル（CEMD）のフィールド
+     */
+    buildMatchFields: function () {
+        const P = CHEParser;
+        const fields = [];
+        const add = (offset, size, name, type, group, section, area = section, index = null) => {
+            fields.push({ offset, size, name, type, group, section, area, index });
+        };
+
+        // ヘッダー (0x000-0x147)
+        const H = 'ヘッダー';
+        add(0x000, 4, 'マジック', 'ascii', 'header', H);
+        add(0x004, 4, 'ヘッダーサイズ', 'u32', 'header', H);
+        add(0x008, 8, 'バージョン', 'ascii', 'header', H);
+        add(0x010, 8, '予約', 'bytes', 'header', H);
+        add(0x018, 24, '大会名', 'sjis', 'header', H);
+        add(0x030, 4, 'パディング', 'bytes', 'header', H);
+        add(0x034, 4, 'チーム数', 'u32', 'header', H);
+        add(0x038, 4, 'マッチ数', 'u32', 'header', H);
+        add(0x03C, 4, '不明（常に1?）', 'u32', 'header', H);
+        add(0x040, 4, '不明（常に0?）', 'u32', 'header', H);
+        this.addSettingsFields(add, 0, H, 'header');
+        add(0x148, 4, '大会名サイズ', 'u32', 'header', H);
+        add(0x14C, 28, '予約', 'bytes', 'header', H);
+        add(0x168, 24, '大会名2', 'sjis', 'header', H);
+        add(0x180, 4, 'パディング', 'bytes', 'header', H);
+        add(0x184, 4, 'チーム数2', 'u32', 'header', H);
+        add(0x188, 4, 'マッチ数2', 'u32', 'header', H);
+        add(0x18C, P.SLOT_START_OFFSET - 0x18C, 'パディング', 'bytes', 'header', H);
+
+        // チームスロット (16 x 832)
+        for (let slot = 0; slot < P.MAX_TEAMS; slot++) {
+            const base = P.SLOT_START_OFFSET + slot * P.SLOT_SIZE;
+            const S = `Slot ${slot + 1}`;
+            add(base + 0x000, 20, 'チームアイコン1', 'bytes', 'slot', S, 'slot', slot);
+            add(base + 0x014, 64, 'カラーパレット', 'rgba', 'slot', S, 'slot', slot);
+            add(base + 0x054, 24, 'チーム名', 'sjis', 'slot', S, 'slot', slot);
+            add(base + 0x06C, 24, 'オーナー名', 'sjis', 'slot', S, 'slot', slot);
+            add(base + 0x084, 48, 'チームアイコン2', 'bytes', 'slot', S, 'slot', slot);
+            add(base + 0x0B4, 4, 'チームID', 'u32', 'slot', S, 'slot', slot);
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                this.addOkeSummaryFields(add, base + P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE,
+                    `OKE${okeNum + 1}`, S, 'slot', slot);
+            }
+            add(base + 0x148, 504, 'OKEビットマップ', 'bytes', 'slot', S, 'slot', slot);
+        }
+
+        // 勝敗データ (0x3888-0x38BB) - 内訳は未検証の仮説
+        const R = '勝敗データ（未検証）';
+        add(P.RESULT_AREA_OFFSET, 4, '記録済み対戦数（推定）', 'u32', 'result', R);
+        add(P.RESULT_PAIR_OFFSET, 30, '対戦結果 (2bit x 120ペア・推定)', 'bytes', 'result', R);
+        add(P.RESULT_PAIR_OFFSET + 30, 18, '予約（推定）', 'bytes', 'result', R);
+
+        // OKEブロック (31 x 7872)
+        for (let block = 0; block < P.MAX_OKE_BLOCKS; block++) {
+            const base = P.OKE_BLOCK_START + block * P.OKE_BLOCK_SIZE;
+            const B = `OKE Block ${block}`;
+            add(base + 0x0000, 64, 'OKEパレット', 'rgba', 'block', B, 'block', block);
+            add(base + 0x0040, 64, '統計データ', 'bytes', 'block', B, 'block', block);
+            add(base + 0x0080, 7188, 'OKEビットマップ', 'bytes', 'block', B, 'block', block);
+            add(base + 0x1C94, 24, 'OKE名', 'sjis', 'block', B, 'block', block);
+            add(base + 0x1CAC, 532, 'OKEサマリー（名前以降）', 'bytes', 'block', B, 'block', block);
+        }
+
+        // 追加OKEデータ領域
+        const extraStart = P.OKE_BLOCK_START + P.MAX_OKE_BLOCKS * P.OKE_BLOCK_SIZE;
+        add(extraStart, P.SETTINGS_MIRROR_DELTA - extraStart, '追加OKEデータ（未解明）', 'bytes', 'extra', '追加OKEデータ');
+
+        // フッター側のヘッダー複製 (+0x40E50)
+        const M = 'ヘッダー複製';
+        const m = P.SETTINGS_MIRROR_DELTA;
+        add(m, 0x44, '不明（ヘッダー0x000-0x043相当）', 'bytes', 'mirror', M);
+        this.addSettingsFields(add, m, M, 'mirror');
+
+        // フッター
+        const F = 'フッター';
+        add(m + 0x128, 0x40FE0 - (m + 0x128), 'フッター（フラグ）', 'bytes', 'footer', F);
+        add(0x40FE0, 4, '不明 float（対戦時間の合計?）', 'f32', 'footer', F);
+        add(0x40FE4, P.MATCH_FILE_SIZE - 0x40FE4, 'フッター末尾', 'bytes', 'footer', F);
+
+        return fields;
+    },
+
+    /**
+     * 対戦設定 (0x044-0x127) のフィールド（ヘッダーとフッター側の複製で共通）
+     */
+    addSettingsFields: function (add, base, section, group) {
+        add(base + 0x044, 4, 'タイムリミット', 'f32', 'settings', section);
+        add(base + 0x048, 4, '不明 float', 'f32', 'settings', section);
+        add(base + 0x04C, 4, '不明 float', 'f32', 'settings', section);
+        for (let i = 0; i < 6; i++) {
+            add(base + 0x050 + i * 4, 4, `フラグ${i + 1}`, 'u32', 'settings', section);
+        }
+        add(base + 0x068, 8, '予約', 'bytes', group, section);
+        add(base + 0x070, 4, '対戦マトリクス先頭', 'bytes', 'pair', section);
+        add(base + CHEParser.PAIR_FLAG_OFFSET, 0x120 - CHEParser.PAIR_FLAG_OFFSET, '対戦マトリクス（全て0x01・内訳不明）', 'bytes', 'pair', section);
+        add(base + 0x120, 4, '対戦フィールド', 'u32', 'settings', section);
+        add(base + 0x124, 4, '対戦方式', 'u32', 'settings', section);
+        if (group === 'header') {
+            add(base + 0x128, 32, '予約', 'bytes', group, section);
+        }
+    },
+
+    /**
+     * OKEサマリー（48バイト）のフィールド
+     */
+    addOkeSummaryFields: function (add, base, label, section, area, index) {
+        add(base + 0x00, 4, `${label} ブロックインデックス`, 'u32', 'summary', section, area, index);
+        add(base + 0x04, 4, `${label} マジック`, 'u32', 'summary', section, area, index);
+        add(base + 0x08, 4, `${label} フラグ`, 'u32', 'summary', section, area, index);
+        add(base + 0x0C, 36, `${label} 統計データ`, 'bytes', 'summary', section, area, index);
+    },
+
+    /**
+     * チームファイル（CETD）のフィールド
+     * 連結ファイルは24,512バイトごとに同じ構造を繰り返す
+     */
+    buildTeamFields: function (byteLength) {
+        const P = CHEParser;
+        const fields = [];
+        const records = Math.max(1, Math.ceil(byteLength / P.TEAM_FILE_SIZE));
+
+        for (let record = 0; record < records; record++) {
+            const base = record * P.TEAM_FILE_SIZE;
+            const T = records > 1 ? `Team ${record + 1}` : 'チーム';
+            const add = (offset, size, name, type, group, section = T, area = 'team', index = record) => {
+                fields.push({ offset: base + offset, size, name, type, group, section, area, index });
+            };
+
+            add(0x000, 4, 'マジック', 'ascii', 'header');
+            add(0x004, 4, 'バージョン/サイズ', 'u32', 'header');
+            add(0x008, 4, '不明', 'u32', 'header');
+            add(0x00C, 0x24, '不明領域', 'bytes', 'unknown');
+            add(0x030, 4, 'OKE数', 'u32', 'header');
+            add(0x034, 0x114, '不明領域', 'bytes', 'unknown');
+            add(0x148, 56, 'アイコンビットマップ1', 'bytes', 'team');
+            add(0x180, 184, '追加ビットマップ', 'bytes', 'team');
+            add(0x238, 8, '不明', 'bytes', 'unknown');
+            add(0x240, 64, 'カラーパレット', 'rgba', 'team');
+            add(0x280, 24, 'チーム名', 'sjis', 'team');
+            add(0x298, 24, 'オーナー名', 'sjis', 'team');
+            add(0x2B0, 40, '不明領域', 'bytes', 'unknown');
+            add(0x2D8, 12, '予約', 'bytes', 'unknown');
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                this.addOkeSummaryFields(add, P.TEAM_OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE,
+                    `OKE${okeNum + 1}`, T, 'team', record);
+            }
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                const o = 0x374 + okeNum * P.OKE_BLOCK_SIZE;
+                const label = `OKE${okeNum + 1}`;
+                const section = `${T} ${label}プログラム`;
+                add(o + 0x000, 24, `${label} 名前`, 'sjis', 'program', section, 'program', okeNum);
+                add(o + 0x018, 40, `${label} パラメータ1`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x040, 64, `${label} パラメータ2`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x080, 124, `${label} 不明領域1`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x0FC, 68, `${label} アイコン`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x140, 240, `${label} 不明領域2`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x230, 64, `${label} パレット`, 'rgba', 'program', section, 'program', okeNum);
+                add(o + 0x270, 96, `${label} 統計/メタデータ`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x2D0, 0x1EB0 - 0x2D0, `${label} AIプログラム`, 'bytes', 'program', section, 'program', okeNum);
+                add(o + 0x1EB0, 16, `${label} フッター`, 'bytes', 'program', section, 'program', okeNum);
+            }
+            add(0x5FB4, 12, 'フッター', 'bytes', 'footer');
+        }
+
+        return fields;
+    },
+
+    /**
+     * フィールドの隙間を「未定義」で埋める
+     */
+    fillGaps: function (fields, byteLength) {
+        const sorted = fields.slice().sort((a, b) => a.offset - b.offset);
+        const result = [];
+        let cursor = 0;
+
+        sorted.forEach(field => {
+            if (field.offset > cursor) {
+                result.push(this.unknownField(cursor, field.offset - cursor));
+            }
+            result.push(field);
+            cursor = Math.max(cursor, field.offset + field.size);
+        });
+        if (cursor < byteLength) {
+            result.push(this.unknownField(cursor, byteLength - cursor));
+        }
+
+        return result;
+    },
+
+    unknownField: function (offset, size) {
+        return { offset, size, name: '未定義', type: 'bytes', group: 'unknown', section: '未定義', area: 'unknown', index: null };
+    },
+
+    /**
+     * オフセットを含むフィールドを探す（二分探索）
+     * @param {Array} fields - getFieldsの戻り値
+     * @param {number} offset - ファイル内オフセット
+     */
+    findField: function (fields, offset) {
+        let lo = 0, hi = fields.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const f = fields[mid];
+            if (offset < f.offset) hi = mid - 1;
+            else if (offset >= f.offset + f.size) lo = mid + 1;
+            else return f;
+        }
+        return null;
+    },
+
+    /**
+     * セクション（ヘッダー、Slot N、OKE Block N 等）の先頭オフセット一覧
+     * @returns {Array} [{ section, offset }]
+     */
+    getSections: function (fields) {
+        const sections = [];
+        fields.forEach(f => {
+            if (f.group === 'unknown' && f.section === '未定義') return;
+            if (!sections.some(s => s.section === f.section)) {
+                sections.push({ section: f.section, offset: f.offset });
+            }
+        });
+        return sections;
+    },
+
+    /**
+     * フィールドの値を表示用文字列にデコード
+     * @param {Uint8Array} bytes - ファイルデータ
+     * @param {Object} field - フィールド
+     */
+    decode: function (bytes, field) {
+        const slice = bytes.subarray(field.offset, Math.min(field.offset + field.size, bytes.length));
+
+        switch (field.type) {
+            case 'u32': {
+                const value = CHEParser.readUint32(bytes, field.offset) >>> 0;
+                return `${value} (0x${value.toString(16).toUpperCase().padStart(8, '0')})`;
+            }
+            case 'f32':
+                return String(CHEParser.readFloat32(bytes, field.offset));
+            case 'ascii':
+                return CHEParser.readString(bytes, field.offset, field.size);
+            case 'sjis':
+                return CHEParser.readSJISString(bytes, field.offset, field.size);
+            case 'rgba': {
+                const colors = [];
+                for (let i = 0; i + 3 < slice.length; i += 4) {
+                    colors.push('#' + [slice[i], slice[i + 1], slice[i + 2]].map(v => v.toString(16).padStart(2, '0')).join(''));
+                }
+                return colors.join(' ');
+            }
+            default: {
+                const hex = Array.from(slice.subarray(0, 32), b => b.toString(16).padStart(2, '0')).join(' ');
+                return slice.length > 32 ? hex + ' …' : hex;
+            }
+        }
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHELayout;
+}
@@ -0,0 +1,71 @@
+/**
+ * CHE Names - CHEファイルに書き込む名前とチームファイル名の検査・変換
+ * チーム編集タブとCLI（cli/che-tools.js）の両方から使うため、DOMには触れない
+ */
+
+const CHENames = {
+    /**
+     * CHEファイルに書き込む名前（大会名・チーム名・オーナー名）を検査
+     * @param {string} name - 名前
+     * @returns {string|null} 問題があればメッセージ
+     */
+    checkName: function (name) {
+        const max = CHEParser.NAME_MAX_BYTES;
+        const result = Encoding.checkSJIS(name, max);
+
+        if (result.unencodable.length > 0) {
+            return `Shift-JISで表せない文字があります: ${result.unencodable.map(c => `「${c}」`).join('')}`;
+        }
+        if (result.truncated) {
+            return `Shift-JISで${result.byteLength}バイトあり、上限の${max}バイトを超えています`;
+        }
+        return null;
+    },
+
+    /**
+     * チーム名・オーナー名を検査
+     * 名前は元ファイルのバイト列のまま書き込むため、読めないバイト列（文字化け）がないかを保存前に調べる
+     * @param {Array} teams - 出力チーム
+     * @returns {string|null} 最初に見つかった問題のメッセージ
+     */
+    checkTeamNames: function (teams) {
+        for (const team of teams) {
+            const nameError = this.checkName(team.name || '');
+            if (nameError) return `チーム「${team.name}」のチーム名: ${nameError}`;
+            const ownerError = this.checkName(team.owner || '');
+            if (ownerError) return `チーム「${team.name}」のオーナー名: ${ownerError}`;
+        }
+        return null;
+    },
+
+    /**
+     * チーム名からファイル名（.CHE付き）を作る
+     * ファイル名に使えない文字・制御文字・デコードできなかった文字は「_」に置き換え、重複には (2), (3)... を付ける
+     * @param {Array} teams - チーム
+     * @returns {Array} ファイル名（teamsと同じ順）
+     */
+    getTeamFilenames: function (teams) {
+        const used = [];
+        return teams.map(team => {
+            let base = (team.name || '')
+                .replace(/[\\/:*?"<>|\u0000-\u001F\u007F\uFFFD]/g, '_')
+                .replace(/[. ]+$/, '')
+                .trim();
+            if (!base || /^_+$/.test(base)) base = 'team';
+            // Windowsの予約名
+            if (/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i.test(base)) base = '_' + base;
+
+            let name = `${base}.CHE`;
+            for (let n = 2; used.includes(name.toLowerCase()); n++) {
+                name = `${base} (${n}).CHE`;
+            }
+            used.push(name.toLowerCase());
+            return name;
+        });
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHENames;
+}
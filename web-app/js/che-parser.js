@@ -10,73 +10,134 @@ const CHEParser = {
     // レコードサイズ
     TEAM_RECORD_SIZE: 880,
 
+    // ファイル構造（MATCH_CHE_FORMAT.md参照）
+    MATCH_FILE_SIZE: 266232,
+    TEAM_FILE_SIZE: 24512,
+    SLOT_START_OFFSET: 0x488,
+    SLOT_SIZE: 832,
+    OKE_SUMMARY_OFFSET: 0xB8,  // スロット内OKEサマリー (48バイト x 3)
+    OKE_SUMMARY_SIZE: 48,
+    OKE_BLOCK_START: 0x38BC,
+    OKE_BLOCK_SIZE: 7872,
+    MAX_OKE_BLOCKS: 31,
+    OKE_MAGIC: 0x08ACE7C8,
+    OKE_UNUSED_INDEX: 0xFFFFFFFF,
+    TEAM_OKE_SUMMARY_OFFSET: 0x2E4, // team.CHE内OKEサマリー (48バイト x 3)
+    NAME_MAX_BYTES: 24,             // 大会名・チーム名・オーナー名・OKE名 (Shift-JIS)
+
+    // 勝敗データ領域 (0x3888-0x38BB, 52バイト)
+    // 以下は未検証の仮説（読み込みは未対応、書き込みは実験的）
+    // +0x00: 記録済み対戦数 (u32)
+    // +0x04: 対戦ペアごとの結果 (2bit x 120ペア = 30バイト)
+    // +0x22: 予約
+    RESULT_AREA_OFFSET: 0x3888,
+    RESULT_AREA_SIZE: 52,
+    RESULT_PAIR_OFFSET: 0x388C,
+    MAX_TEAMS: 16,
+
+    // 対戦設定
+    // ヘッダー 0x000-0x147 の一部はフッター側 (+0x40E50) にも同じ並びで複製されている
+    // (0x044-0x067 → 0x40E94-0x40EB7, 0x120-0x127 → 0x40F70-0x40F77)
+    SETTINGS_MIRROR_DELTA: 0x40E50,
+    FIELD_NAMES: {
+        0: '不明',
+        3: '上級演習所'
+    },
+    MODE_LEAGUE: 12,
+    MODE_HALF_LEAGUE: 25,
+    MODE_NAMES: {
+        12: 'リーグ戦',
+        25: 'ハーフリーグ'
+    },
+
+    // 対戦方式ごとのマッチ数（実ファイルで観測された [チーム数, マッチ数]）
+    // 12: SML.CHE (2→1) / KISEI1.CHE (10→14) / match.CHE (15→22)
+    // 25: 1a.CHE (9→13) / L3AR.CHE (16→29)
+    OBSERVED_MATCH_COUNTS: {
+        12: [[2, 1], [10, 14], [15, 22]],
+        25: [[9, 13], [16, 29]]
+    },
+
+    // テンプレートなしで生成するときの対戦設定（SML.CHEの値）
+    DEFAULT_MATCH_SETTINGS: {
+        timeLimit: 540,
+        floatParam1: 120,
+        floatParam2: 1,
+        flags: [1, 0, 1, 1, 1, 1],
+        field: 3,
+        mode: 12
+    },
+
+    // 未使用スロット・空OKEブロックのカラーパレット (RGBA x 16)
+    DEFAULT_PALETTE: [
+        0x00, 0x00, 0x00, 0x00, 0x40, 0x40, 0x40, 0xFF, 0x80, 0x80, 0x80, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+        0xFF, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x00, 0xFF, 0x00, 0xFF, 0x00, 0xFF, 0x00, 0xFF, 0xFF, 0xFF,
+        0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x00, 0xFF, 0xFF, 0x80, 0x00, 0x00, 0xFF, 0x80, 0x80, 0x00, 0xFF,
+        0x00, 0x80, 0x00, 0xFF, 0x00, 0x80, 0x80, 0xFF, 0x00, 0x00, 0x80, 0xFF, 0x80, 0x00, 0x80, 0xFF
+    ],
+
+    // 対戦マトリクス領域 (0x074-0x11F)
+    // 実ファイルでは全て0x01。ペアとの対応を確かめたファイルがないため、読み書きはしない（生成時は0x01のまま）
+    PAIR_FLAG_OFFSET: 0x074,
+
     /**
      * CHEファイルをパースする
      * @param {ArrayBuffer} buffer - ファイルデータ
      * @returns {Object} パース結果
      */
     parse: function (buffer) {
-        const view = new DataView(buffer);
-        const bytes = new Uint8Array(buffer);
+        const reader = new CHEReader(buffer);
 
         // マジックナンバー確認 (4バイト)
-        const magic = this.readString(bytes, 0, 4);
+        reader.require(0, 4, 'マジックナンバー', CHEParseError.TRUNCATED_HEADER);
+        const magic = reader.ascii(0, 4);
 
         if (magic === this.TYPE_TEAM) {
             return this.parseTeamFile(buffer);
         } else if (magic === this.TYPE_MATCH) {
             return this.parseMatchFile(buffer);
         } else {
-            throw new Error('Unknown CHE file format: ' + magic);
+            throw new CHEParseError(CHEParseError.UNKNOWN_FORMAT, `先頭4バイトがCEMD/CETDではありません: ${magic || '(空)'}`, 0);
         }
     },
 
     /**
      * チームファイル（CETD）をパース
+     * 「チームデータ連結」で保存したファイルは24,512バイトのレコードが連続しているため、1レコード1チームとして読む
+     * @throws {CHEParseError} レコードの途中で切れている・レコード先頭がCETDでない
      */
     parseTeamFile: function (buffer) {
         const bytes = new Uint8Array(buffer);
+        const reader = new CHEReader(bytes);
         const teams = [];
 
+        // 途中で切れたレコードは読まない（チーム名やOKEが空のチームとして読めてしまうため）
+        const recordCount = Math.floor(bytes.length / this.TEAM_FILE_SIZE);
+        if (recordCount === 0 || bytes.length % this.TEAM_FILE_SIZE !== 0) {
+            reader.require(recordCount * this.TEAM_FILE_SIZE, this.TEAM_FILE_SIZE,
+                `チームレコード ${recordCount + 1}`, CHEParseError.TRUNCATED_RECORD);
+        }
+
         // ヘッダー情報 (0x00-0x04: "CETD")
         const header = {
-            magic: this.readString(bytes, 0, 4),
-            version: this.readUint32(bytes, 4)
+            magic: reader.ascii(0, 4),
+            version: reader.u32(4)
         };
 
-        // team.CHEはファイル全体で1チームのデータ
-        // カラーパレット: 0x240 (16色 x 4バイト = 64バイト)
-        // チーム名: 0x280 (24バイト)
-        // オーナー名: 0x298 (24バイト)
-
-        const colorOffset = 0x240;
-        const colors = [];
-        for (let i = 0; i < 16; i++) {
-            const r = bytes[colorOffset + i * 4];
-            const g = bytes[colorOffset + i * 4 + 1];
-            const b = bytes[colorOffset + i * 4 + 2];
-            const a = bytes[colorOffset + i * 4 + 3];
-            colors.push({ r, g, b, a });
-        }
-
-        const nameOffset = 0x280;
-        const name = this.readSJISString(bytes, nameOffset, 24);
-
-        const ownerOffset = 0x298;
-        // オーナー名は先頭に0x00が入ることがあるためスキップ処理付きで読む
-        const owner = this.readSJISString(bytes, ownerOffset, 24);
+        for (let record = 0; record < recordCount; record++) {
+            const offset = record * this.TEAM_FILE_SIZE;
+            if (reader.ascii(offset, 4) !== this.TYPE_TEAM) {
+                throw new CHEParseError(CHEParseError.BAD_RECORD_MAGIC,
+                    `チームレコード ${record + 1} の先頭がCETDではありません (0x${reader.hex(offset)})`, offset);
+            }
 
-        if (name && name.trim()) {
-            teams.push({
-                name: name,
-                owner: owner || '',
-                colors: colors,
-                primaryColor: colors[1] || colors[0] || { r: 128, g: 128, b: 128, a: 255 },
-                sourceIndex: 0,
-                // team.CHE全体をrawBufferとして保存（match.CHE変換時に使用）
-                rawBuffer: buffer.slice(0, buffer.byteLength),
-                isMatchDerived: false // team.CHE由来であることを示す
-            });
+            const team = this.parseTeamRecord(bytes, offset);
+            if (team) {
+                team.sourceIndex = record;
+                // レコード単位でrawBufferとして保存（match.CHE変換時に使用）
+                team.rawBuffer = buffer.slice(offset, offset + this.TEAM_FILE_SIZE);
+                teams.push(team);
+            }
         }
 
         return {
@@ -89,24 +150,32 @@ const CHEParser = {
 
     /**
      * マッチファイル（CEMD）をパース
+     * @throws {CHEParseError} ヘッダー・使用中のスロット・参照先OKEブロック・勝敗データが読めない、チーム数が不正
      */
     parseMatchFile: function (buffer) {
         console.log('Parsing match file, size:', buffer.byteLength);
         const bytes = new Uint8Array(buffer);
-        const view = new DataView(buffer);
+        const reader = new CHEReader(bytes);
+
+        // ヘッダー (0x000-0x18F: 対戦設定・対戦マトリクス・大会名2・チーム数2まで)
+        reader.require(0, 0x190, 'ヘッダー', CHEParseError.TRUNCATED_HEADER);
 
         // ヘッダー情報
         // チーム数は0x34(4byte), マッチ数は0x38(4byte)から取得
         // 0x30は初期化パターン(0xCDCDCDCD)
         const header = {
-            magic: this.readString(bytes, 0, 4),
-            headerSize: this.readUint32(bytes, 4),
-            version: this.readString(bytes, 8, 8).replace(/\0/g, ''),
+            magic: reader.ascii(0, 4),
+            headerSize: reader.u32(4),
+            version: reader.ascii(8, 8),
             // 大会名は0x018(24B)と0x168(24B)に入っていることが多い
-            tournamentName: Encoding.toUTF8(bytes.slice(0x18, 0x18 + 24)),
-            teamCount: this.readUint32(bytes, 0x34),
-            matchCount: this.readUint32(bytes, 0x38)
+            tournamentName: Encoding.toUTF8(reader.slice(0x18, 24)),
+            teamCount: reader.u32(0x34),
+            matchCount: reader.u32(0x38)
         };
+        if (header.teamCount > this.MAX_TEAMS) {
+            throw new CHEParseError(CHEParseError.BAD_TEAM_COUNT,
+                `チーム数が不正です (0x${reader.hex(0x34)}): ${header.teamCount} (0x${header.teamCount.toString(16).toUpperCase()})、最大${this.MAX_TEAMS}チーム`, 0x34);
+        }
         console.log('Match Header:', header);
         console.log('Raw Tournament Name Bytes:', bytes.slice(0x18, 0x18 + 24));
         console.log('Parsed Tournament Name:', header.tournamentName);
@@ -118,14 +187,16 @@ const CHEParser = {
         const SLOT_SIZE = 832;           // 0x340 bytes
         const SLOT_START_OFFSET = 0x488; // Slot 1からデータ開始
 
+        // 使用中のスロットと勝敗データがファイル内にあるか（どこで切れているかが分かるよう先頭側から確認する）
+        for (let i = 0; i < header.teamCount; i++) {
+            reader.require(SLOT_START_OFFSET + i * SLOT_SIZE, SLOT_SIZE, `Slot ${i + 1}`, CHEParseError.SLOT_OVERFLOW);
+        }
+        reader.require(this.RESULT_AREA_OFFSET, this.RESULT_AREA_SIZE, '勝敗データ', CHEParseError.TRUNCATED_RESULTS);
+
         // チーム抽出
         console.log(`Extracting ${header.teamCount} teams from offset ${SLOT_START_OFFSET}`);
         for (let i = 0; i < header.teamCount; i++) {
             const offset = SLOT_START_OFFSET + (i * SLOT_SIZE);
-            if (offset + SLOT_SIZE > buffer.byteLength) {
-                console.warn(`Buffer overflow at team ${i}, offset ${offset}`);
-                break;
-            }
 
             const team = this.parseMatchTeamRecord(bytes, offset);
 
@@ -134,6 +205,7 @@ const CHEParser = {
                 // スロット全体をrawBufferとして保存
                 team.rawBuffer = buffer.slice(offset, offset + SLOT_SIZE);
                 team.isMatchDerived = true; // match.CHE由来であることを示すフラグ
+                team.fileOffset = offset; // ファイル内のスロット先頭
 
                 // OKEブロックデータも保存（新ファイル生成時にコピーするため）
                 const OKE_BLOCK_START = 0x38BC;
@@ -142,30 +214,40 @@ const CHEParser = {
 
                 for (let okeNum = 0; okeNum < 3; okeNum++) {
                     const okeIndexOffset = offset + 0xB8 + okeNum * 48;
-                    const okeIndex = this.readUint32(bytes, okeIndexOffset);
+                    const okeIndex = reader.u32(okeIndexOffset);
 
                     if (okeIndex < 31) {
                         const blockOffset = OKE_BLOCK_START + okeIndex * OKE_BLOCK_SIZE;
-                        if (blockOffset + OKE_BLOCK_SIZE <= buffer.byteLength) {
-                            team.okeBlocks.push({
-                                originalIndex: okeIndex,
-                                data: buffer.slice(blockOffset, blockOffset + OKE_BLOCK_SIZE)
-                            });
-                        }
+                        reader.require(blockOffset, OKE_BLOCK_SIZE,
+                            `Slot ${i + 1} のOKE${okeNum + 1}が参照するOKEブロック ${okeIndex}`, CHEParseError.OKE_BLOCK_OVERFLOW);
+                        team.okeBlocks.push({
+                            originalIndex: okeIndex,
+                            data: buffer.slice(blockOffset, blockOffset + OKE_BLOCK_SIZE)
+                        });
                     }
                 }
 
+                // OKEロスター（名前とブロックインデックス）
+                team.okes = this.readMatchOkeRoster(bytes, offset);
+
                 teams.push(team);
             }
         }
         console.log('Parsed teams:', teams.length);
 
+        // 同じOKEブロックを参照しているチームを紐付け
+        this.linkSharedOkeBlocks(teams);
+
         // 結果データを抽出
         const results = this.extractMatchResults(bytes, header.teamCount);
 
+        // 対戦設定を抽出
+        const settings = this.parseMatchSettings(bytes);
+
         return {
             type: 'match',
             header: header,
+            settings: settings,
             teams: teams,
             results: results,
             raw: buffer
@@ -173,22 +255,15 @@ const CHEParser = {
     },
 
     /**
-     * チームレコードをパース（CETDフォーマット）
+     * チームレコード（CETD 1チーム分）をパース
+     * カラーパレット: +0x240 (16色 x 4バイト = 64バイト)
+     * チーム名: +0x280 (24バイト)
+     * オーナー名: +0x298 (24バイト)
+     * @param {Uint8Array} bytes - ファイルデータ
+     * @param {number} offset - レコード先頭
+     * @returns {Object|null} チーム名が空なら null
      */
     parseTeamRecord: function (bytes, offset) {
-        // オフセット0x374にチーム名がある
-        const nameOffset = offset + 0x374;
-
-        if (nameOffset + 32 > bytes.length) return null;
-
-        const name = this.readSJISString(bytes, nameOffset, 24);
-        if (!name) return null;
-
-        // オーナー名
-        const ownerOffset = nameOffset + 24;
-        const owner = this.readSJISString(bytes, ownerOffset, 24);
-
-        // カラー情報 (オフセット0x240)
         const colorOffset = offset + 0x240;
         const colors = [];
         for (let i = 0; i < 16; i++) {
@@ -199,11 +274,21 @@ const CHEParser = {
             colors.push({ r, g, b, a });
         }
 
+        const name = this.readSJISString(bytes, offset + 0x280, 24);
+
+        // オーナー名は先頭に0x00が入ることがあるためスキップ処理付きで読む
+        const owner = this.readSJISString(bytes, offset + 0x298, 24);
+
+        if (!name || !name.trim()) return null;
+
         return {
             name: name,
             owner: owner || '',
             colors: colors,
-            primaryColor: colors[0] || { r: 128, g: 128, b: 128, a: 255 }
+            primaryColor: colors[1] || colors[0] || { r: 128, g: 128, b: 128, a: 255 },
+            fileOffset: offset, // ファイル内のレコード先頭
+            isMatchDerived: false, // team.CHE由来であることを示す
+            okes: this.readTeamOkeRoster(bytes.subarray(offset))
         };
     },
 
@@ -226,8 +311,9 @@ const CHEParser = {
         // チーム名 (Offset 0x54へ変更: パレット15色(60byte)直後から始まる可能性対応)
         // 元々0x56としていたが、0x54からデータが始まっているファイルがある模様
         // readSJISStringは00をスキップするので、0x56開始のファイルでも問題ないはず
+        // 長さはオーナー名 (0x6C) の手前までの24バイト（CHEMatchSlot.name と同じ）
         const nameOffset = offset + 0x54;
-        const name = this.readSJISString(bytes, nameOffset, 26); // 長さも+2しておく
+        const name = this.readSJISString(bytes, nameOffset, this.NAME_MAX_BYTES);
 
         // デバッグ: 全チームのバイト列を確認
         const rawName = bytes.slice(nameOffset, nameOffset + 12);
@@ -250,25 +336,294 @@ const CHEParser = {
     },
 
     /**
-     * マッチ結果を抽出
+     * スロットのOKE 3体の名前とブロックインデックスを読み込む
+     * 名前は参照先OKEブロックのサマリー先頭 (+0x1C94) から取る
+     * @param {Uint8Array} bytes - CEMDファイルデータ
+     * @param {number} slotOffset - スロット先頭オフセット
+     * @returns {Array} [{ okeNum, blockIndex, name, sharedWith }]（未使用OKEはblockIndexがnull）
      */
+    readMatchOkeRoster: function (bytes, slotOffset) {
+        const okes = [];
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            const index = this.readUint32(bytes, slotOffset + this.OKE_SUMMARY_OFFSET + okeNum * this.OKE_SUMMARY_SIZE) >>> 0;
+            const name = index < this.MAX_OKE_BLOCKS && !this.isOkeBlockEmpty(bytes, index)
+                ? this.readOkeName(bytes, this.OKE_BLOCK_START + index * this.OKE_BLOCK_SIZE + 0x1C94)
+                : '';
+            okes.push({
+                okeNum: okeNum,
+                blockIndex: index === this.OKE_UNUSED_INDEX ? null : index,
+                name: name,
+                sharedWith: []
+            });
+        }
+        return okes;
+    },
+
+    /**
+     * team.CHEのOKE 3体の名前を読み込む（OKEプログラム先頭: 0x374, 0x2234, 0x40F4）
+     * @param {Uint8Array} bytes - CETDレコード（先頭から）
+     * @returns {Array} [{ okeNum, blockIndex: null, name, sharedWith }]
+     */
+    readTeamOkeRoster: function (bytes) {
+        const okes = [];
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            okes.push({
+                okeNum: okeNum,
+                blockIndex: null,
+                name: this.readOkeName(bytes, 0x374 + okeNum * this.OKE_BLOCK_SIZE),
+                sharedWith: []
+            });
+        }
+        return okes;
+    },
+
+    /**
+     * OKE名を読み込む
+     * 空のOKEブロックや extractTeamFile で書き出したteam.CHEは名前欄が 00 CD CD ... のため、
+     * 最初の非NULLバイトが0xCD（パディング）なら名前なしとする
+     * @param {Uint8Array} bytes - ファイルデータ
+     * @param {number} offset - 名前欄の先頭オフセット
+     * @returns {string}
+     */
+    readOkeName: function (bytes, offset) {
+        const end = Math.min(offset + this.NAME_MAX_BYTES, bytes.length);
+        let first = offset;
+        while (first < end && bytes[first] === 0) first++;
+        if (first >= end || bytes[first] === 0xCD) return '';
+        return this.readSJISString(bytes, offset, this.NAME_MAX_BYTES);
+    },
+
     /**
-     * マッチ結果を抽出
-     * @returns {Array} 2次元配列 results[i][j] = 0:なし, 1:勝, 2:負, 3:引分
+     * 同じOKEブロックを参照している他チームの名前を sharedWith に設定
+     * @param {Array} teams - 同じマッチファイルのチーム
+     */
+    linkSharedOkeBlocks: function (teams) {
+        teams.forEach((team, i) => {
+            team.okes.forEach(oke => {
+                if (oke.blockIndex === null) return;
+                oke.sharedWith = teams
+                    .filter((other, j) => j !== i && other.okes.some(o => o.blockIndex === oke.blockIndex))
+                    .map(other => other.name);
+            });
+        });
+    },
+
+    /**
+     * OKEブロックが空（サマリー先頭のOKE名が空）か
+     * @param {Uint8Array} bytes - CEMDファイルデータ
+     * @param {number} index - OKEブロックインデックス (0-30)
+     */
+    isOkeBlockEmpty: function (bytes, index) {
+        const nameOffset = this.OKE_BLOCK_START + index * this.OKE_BLOCK_SIZE + 0x1C94;
+        return nameOffset >= bytes.length || bytes[nameOffset] === 0;
+    },
+
+    /**
+     * 対戦設定を読み込む
+     * @param {Uint8Array} bytes - CEMDファイルデータ
+     * @returns {Object} { timeLimit, floatParam1, floatParam2, flags[6], field, mode }
+     */
+    parseMatchSettings: function (bytes) {
+        const flags = [];
+        for (let i = 0; i < 6; i++) {
+            flags.push(this.readUint32(bytes, 0x50 + i * 4) >>> 0);
+        }
+
+        return {
+            timeLimit: this.readFloat32(bytes, 0x44),   // タイムリミット（秒）
+            floatParam1: this.readFloat32(bytes, 0x48), // 不明 (例: 120.0)
+            floatParam2: this.readFloat32(bytes, 0x4C), // 不明 (例: 1.0)
+            flags: flags,                               // フラグ1-6 (0x50-0x64)
+            field: this.readUint32(bytes, 0x120) >>> 0, // 対戦フィールド
+            mode: this.readUint32(bytes, 0x124) >>> 0   // 対戦方式
+        };
+    },
+
+    /**
+     * 対戦設定を書き込む（ヘッダーとフッター側の複製の両方）
+     * 指定されなかった項目は書き換えない
+     * @param {Uint8Array} output - 書き込み先バッファ
+     * @param {Object} settings - parseMatchSettingsと同じ形式（部分指定可）
+     */
+    writeMatchSettings: function (output, settings) {
+        const view = new DataView(output.buffer);
+        const bases = [0, this.SETTINGS_MIRROR_DELTA];
+
+        bases.forEach(base => {
+            if (base + 0x128 > output.length) return;
+
+            if (typeof settings.timeLimit === 'number') view.setFloat32(base + 0x44, settings.timeLimit, true);
+            if (typeof settings.floatParam1 === 'number') view.setFloat32(base + 0x48, settings.floatParam1, true);
+            if (typeof settings.floatParam2 === 'number') view.setFloat32(base + 0x4C, settings.floatParam2, true);
+            if (Array.isArray(settings.flags)) {
+                settings.flags.slice(0, 6).forEach((flag, i) => {
+                    view.setUint32(base + 0x50 + i * 4, flag >>> 0, true);
+                });
+            }
+            if (typeof settings.field === 'number') view.setUint32(base + 0x120, settings.field >>> 0, true);
+            if (typeof settings.mode === 'number') view.setUint32(base + 0x124, settings.mode >>> 0, true);
+        });
+    },
+
+    /**
+     * 対戦方式とチーム数からマッチ数の目安を求める
+     * 観測値があるチーム数はその値をそのまま使い、観測値の間のチーム数は両隣の観測値を結ぶ
+     * 直線で推定する。観測範囲の外は外挿せず、最寄りの観測値（総当たり数が上限）にとどめる。
+     * 観測値のない方式は総当たり n(n-1)/2 とする。
+     * 推定値はファイルには書かず、入力欄の候補として表示するだけ（書き込む値は resolveMatchCount で決める）
+     * @param {number} teamCount - チーム数
+     * @param {number} mode - 対戦方式 (12: リーグ戦, 25: ハーフリーグ)
+     * @returns {number} マッチ数
+     */
+    getMatchCount: function (teamCount, mode) {
+        const maxMatches = (teamCount * (teamCount - 1)) / 2;
+        const points = this.OBSERVED_MATCH_COUNTS[mode];
+        if (!points || teamCount < 2) return maxMatches;
+
+        const exact = points.find(([n]) => n === teamCount);
+        if (exact) return exact[1];
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (teamCount < first[0]) return Math.min(first[1], maxMatches);
+        if (teamCount > last[0]) return Math.min(last[1], maxMatches);
+
+        // teamCountを挟む区間
+        let k = 0;
+        while (teamCount > points[k + 1][0]) k++;
+        const [n0, m0] = points[k];
+        const [n1, m1] = points[k + 1];
+        const estimate = Math.round(m0 + ((m1 - m0) * (teamCount - n0)) / (n1 - n0));
+
+        return Math.max(1, Math.min(estimate, maxMatches));
+    },
+
+    /**
+     * マッチ数が実ファイルで観測された値か（getMatchCountの推定値なら false）
+     * @param {number} teamCount - チーム数
+     * @param {number} mode - 対戦方式
+     */
+    isMatchCountObserved: function (teamCount, mode) {
+        const points = this.OBSERVED_MATCH_COUNTS[mode];
+        return !!points && points.some(([n]) => n === teamCount);
+    },
+
+    /**
+     * ヘッダーに書き込むマッチ数を決める
+     * 指定があればその値、なければ実ファイルの観測値を使う。観測値のない組み合わせは推定値を書かずにエラーにする
+     * @param {number} teamCount - チーム数
+     * @param {number} mode - 対戦方式
+     * @param {number} [matchCount] - 利用者が指定したマッチ数
+     * @returns {number} マッチ数
+     * @throws {Error} 指定値が範囲外、または観測値がないのに指定されていない
+     */
+    resolveMatchCount: function (teamCount, mode, matchCount) {
+        const maxMatches = (teamCount * (teamCount - 1)) / 2;
+        if (matchCount !== undefined && matchCount !== null) {
+            if (!Number.isInteger(matchCount) || matchCount < 1 || matchCount > maxMatches) {
+                throw new Error(`マッチ数は1〜${maxMatches}で指定してください: ${matchCount}`);
+            }
+            return matchCount;
+        }
+
+        if (!this.isMatchCountObserved(teamCount, mode)) {
+            const modeName = this.MODE_NAMES[mode] || `方式${mode}`;
+            throw new Error(`${teamCount}チームの${modeName}のマッチ数は実ファイルで観測されていないため、マッチ数を指定してください（推定値: ${this.getMatchCount(teamCount, mode)}）`);
+        }
+        return this.getMatchCount(teamCount, mode);
+    },
+
+    /**
+     * 対戦方式から対戦可能ペアの初期値（ペアごとの有効/無効）を生成（勝敗表タブの表示用）
+     * 実ファイル（リーグ戦の SML.CHE / match.CHE、ハーフリーグの L3AR.CHE）はどの方式でも
+     * 0x074-0x11B が全て0x01のため、方式によらず全ペア有効にする。
+     * 対戦の組み合わせは対戦方式とマッチ数から決まると考えられる。
+     * @param {number} teamCount - チーム数
+     * @param {number} mode - 対戦方式（現在は結果に影響しない）
+     * @returns {Array} 2次元配列 pairFlags[i][j] = true:対戦あり / false:対戦なし
+     */
+    buildPairFlags: function (teamCount, mode) {
+        const flags = [];
+        for (let i = 0; i < teamCount; i++) {
+            flags[i] = [];
+            for (let j = 0; j < teamCount; j++) {
+                flags[i][j] = i !== j;
+            }
+        }
+        return flags;
+    },
+
+    /**
+     * 対戦ペア(i < j)の通し番号を取得
+     * 16チーム固定の上三角行列を行優先で並べた順（0-1, 0-2, ... 14-15 の120ペア）
+     * @param {number} i - チームインデックス
+     * @param {number} j - チームインデックス
+     * @returns {number} ペア番号 (0-119)
+     */
+    getPairIndex: function (i, j) {
+        if (i > j) [i, j] = [j, i];
+        return i * this.MAX_TEAMS - (i * (i + 1)) / 2 + (j - i - 1);
+    },
+
+    /**
+     * マッチ結果を抽出（未対応: 常に全て0）
+     * 勝敗データ領域 (0x3888-0x38BB) のレイアウトは対戦後の実ファイルと照合できていないため読み込まない。
+     * 対戦後のCEMDの16進ダンプと実機の順位表で確認できたら、ここで読み込むようにする（MATCH_CHE_FORMAT.md 参照）。
+     * @param {Uint8Array} bytes - CEMDファイルデータ
+     * @param {number} teamCount - チーム数
+     * @returns {Array} 2次元配列 results[i][j] = 0（なし）
      */
     extractMatchResults: function (bytes, teamCount) {
         const results = [];
-
-        // 2次元配列の初期化
         for (let i = 0; i < teamCount; i++) {
             results[i] = new Array(teamCount).fill(0);
         }
-
-        // 勝敗データ領域のオフセットが未確定のため、現状は「全て対戦なし(0)」として扱う。
-        // （Webアプリ上ではユーザーが手動で勝敗表を編集できるため、初期値が0であれば十分）
         return results;
     },
 
+    /**
+     * 勝敗データ領域に値が入っているか（記録済み対戦数・ペア配列・予約のいずれかが非ゼロ）
+     * 読み込みに対応していないことを診断結果で知らせるために使う
+     * @param {Uint8Array} bytes - CEMDファイルデータ
+     */
+    hasMatchResultData: function (bytes) {
+        const end = Math.min(this.RESULT_AREA_OFFSET + this.RESULT_AREA_SIZE, bytes.length);
+        for (let i = this.RESULT_AREA_OFFSET; i < end; i++) {
+            if (bytes[i] !== 0) return true;
+        }
+        return false;
+    },
+
+    /**
+     * マッチ結果を勝敗データ領域に書き込む（実験的）
+     * レイアウトは未検証の仮説（MATCH_CHE_FORMAT.md 参照）のため、Web版では確認に同意した場合だけ呼ぶ。
+     * 記録済み対戦数とペア配列のみ書き換え、予約領域はそのまま残す
+     * @param {Uint8Array} output - 書き込み先バッファ
+     * @param {Array} results - 2次元配列 results[i][j] = 0:なし, 1:勝, 2:負, 3:引分
+     * @param {number} teamCount - チーム数
+     * @returns {number} 書き込んだ対戦数
+     */
+    writeMatchResults: function (output, results, teamCount) {
+        const pairBytes = Math.ceil(((this.MAX_TEAMS * (this.MAX_TEAMS - 1)) / 2) / 4);
+        output.fill(0, this.RESULT_AREA_OFFSET, this.RESULT_PAIR_OFFSET + pairBytes);
+
+        const count = Math.min(teamCount, this.MAX_TEAMS);
+        let written = 0;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const value = (results[i] && results[i][j]) & 0x03;
+                if (value === 0) continue;
+
+                const pair = this.getPairIndex(i, j);
+                output[this.RESULT_PAIR_OFFSET + (pair >> 2)] |= value << ((pair & 3) * 2);
+                written++;
+            }
+        }
+
+        new DataView(output.buffer).setUint32(this.RESULT_AREA_OFFSET, written, true);
+        return written;
+    },
+
     // ユーティリティ関数
     // Shift-JIS文字列を読み込む（NULL文字スキップ対応）
     readSJISString: function (bytes, offset, length) {
@@ -291,6 +646,14 @@ const CHEParser = {
         return str ? str.trim().replace(/\0.*$/, '') : '';
     },
 
+    // Shift-JIS文字列を書き込む（領域はNULLで埋め、収まらない分は文字単位で切り捨てる）
+    writeSJISString: function (bytes, offset, str, length) {
+        const encoded = Encoding.checkSJIS(str, length).bytes;
+        bytes.fill(0, offset, offset + length);
+        bytes.set(encoded, offset);
+        return encoded.length;
+    },
+
     readString: function (bytes, offset, length) {
         let str = '';
         for (let i = 0; i < length; i++) {
@@ -312,279 +675,528 @@ const CHEParser = {
     },
 
     readUint32: function (bytes, offset) {
+        // リトルエンディアン（符号なし）
+        if (offset + 4 > bytes.length) return 0;
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    },
+
+    readFloat32: function (bytes, offset) {
         // リトルエンディアン
         if (offset + 4 > bytes.length) return 0;
-        return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+        return new DataView(bytes.buffer, bytes.byteOffset).getFloat32(offset, true);
+    },
+
+    /**
+     * マッチファイル生成時のOKEブロック再配置を計画
+     * OKEブロックを内容で比較し、同じ内容なら（別ファイル由来でも）1ブロックにまとめる
+     * team.CHE由来チームのOKEはconvertTeamOkeBlockでブロックに変換してから同様に扱う
+     * @param {Array} teams - 出力するチーム（最大16）
+     * @param {Uint8Array|null} template - team.CHEのOKE変換に使うテンプレート（null: テンプレートなし）
+     * @returns {Object} { blocks: [{ data, name }]（新しい並び順）,
+     *                     remaps: チームごとの { 元インデックス: 新インデックス }（team.CHE由来は { OKE番号(0-2): 新インデックス }） }
+     */
+    planOkeBlocks: function (teams, template = this.templateData) {
+        const blocks = [];
+        const byHash = {};  // ハッシュ → blocksのインデックス一覧（衝突時はバイト比較で確定）
+
+        const place = (data) => {
+            const hash = this.hashBytes(data);
+            const candidates = byHash[hash] || (byHash[hash] = []);
+            let newIndex = candidates.find(i => this.bytesEqual(blocks[i].data, data));
+
+            if (newIndex === undefined) {
+                newIndex = blocks.length;
+                blocks.push({ data: data, name: this.readSJISString(data, 0x1C94, 24) });
+                candidates.push(newIndex);
+            }
+            return newIndex;
+        };
+
+        const remaps = teams.map(team => {
+            const remap = {};
+
+            if (!team.isMatchDerived) {
+                if (!team.rawBuffer) return remap;
+                const src = new Uint8Array(team.rawBuffer);
+                for (let okeNum = 0; okeNum < 3; okeNum++) {
+                    const data = this.convertTeamOkeBlock(src, okeNum, template);
+                    if (data) remap[okeNum] = place(data);
+                }
+                return remap;
+            }
+
+            (team.okeBlocks || []).forEach(okeBlock => {
+                if (remap[okeBlock.originalIndex] !== undefined) return;
+                remap[okeBlock.originalIndex] = place(new Uint8Array(okeBlock.data));
+            });
+
+            return remap;
+        });
+
+        return { blocks: blocks, remaps: remaps };
+    },
+
+    /**
+     * team.CHEのOKEプログラムをマッチファイルのOKEブロック（7872バイト）に変換
+     * - パレット: プログラム +0x230 (64B) → ブロック +0x0000
+     * - サマリー: プログラム +0x000 (556B) → ブロック +0x1C94（実ファイルでバイト一致を確認済み）
+     * - 統計 (+0x0040) とビットマップ (+0x0080) はteam.CHEのどこに対応するか分かっていないため作れない。
+     *   テンプレートの同じ番号のブロック（template.CHEではほのお/くさ/みずタイプ）をそのまま使うので、
+     *   ゲーム内の外見はteam.CHEのOKEではなくテンプレートのOKEになる（テンプレートなしの場合は空のOKEブロック）
+     * @param {Uint8Array} src - CETDファイルデータ
+     * @param {number} okeNum - OKE番号 (0-2)
+     * @param {Uint8Array|null} template - テンプレート
+     * @returns {Uint8Array|null} OKEがない（名前が空/0xCDパディング）場合は null
+     */
+    convertTeamOkeBlock: function (src, okeNum, template = this.templateData) {
+        const program = 0x374 + okeNum * this.OKE_BLOCK_SIZE;
+        if (program + 0x270 > src.length || src[program] === 0 || src[program] === 0xCD) {
+            return null;
+        }
+
+        let block;
+        if (template) {
+            const base = this.OKE_BLOCK_START + okeNum * this.OKE_BLOCK_SIZE;
+            block = template.slice(base, base + this.OKE_BLOCK_SIZE);
+        } else {
+            block = this.createEmptyOkeBlock();
+        }
+        block.set(src.subarray(program + 0x230, program + 0x270), 0x0000);
+        block.set(src.subarray(program, program + 556), 0x1C94);
+        return block;
+    },
+
+    /**
+     * バイト列のハッシュ（FNV-1a 32bit）
+     * @returns {string}
+     */
+    hashBytes: function (bytes) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    bytesEqual: function (a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
     },
 
     /**
      * CHEファイルを生成（チーム形式）
+     * @param {Array} teams - チームデータ配列
+     * @returns {ArrayBuffer} 24,512バイトのレコードを連結したteam.CHE
      */
     generateTeamFile: function (teams) {
-        if (teams.length === 0) return new Uint8Array(0);
+        if (teams.length === 0) return new ArrayBuffer(0);
+        return this.buildTeamDocument(teams).serialize();
+    },
 
-        // 各チームのrawBufferサイズを合計
-        let totalSize = 0;
-        teams.forEach(team => {
-            if (team.rawBuffer) {
-                totalSize += team.rawBuffer.byteLength;
-            } else {
-                totalSize += 24512;
-            }
+    /**
+     * チームデータ連結形式（CETD x N）のドキュメントを組み立てる
+     * team.CHE由来はレコードをそのまま、マッチファイル由来はextractTeamFileで組み立てたものを使う
+     * @param {Array} teams - チームデータ配列
+     * @returns {CHEDocument}
+     */
+    buildTeamDocument: function (teams) {
+        const doc = CHEDocument.createTeam(teams.length);
+        teams.forEach((team, i) => {
+            const source = team.isMatchDerived ? this.extractTeamFile(team).buffer : team.rawBuffer;
+            doc.record(i).bytes.set(new Uint8Array(source).subarray(0, this.TEAM_FILE_SIZE));
         });
+        return doc;
+    },
 
-        const output = new Uint8Array(totalSize);
-        let offset = 0;
+    /**
+     * マッチファイル由来のチームからteam.CHE（CETD, 24,512バイト）を組み立てる
+     * スロットのパレット/チーム名/オーナー名/OKEサマリーと、参照先OKEブロックのパレット・サマリーを移す
+     * @param {Object} team - match.CHE由来のチーム（rawBufferはスロット832バイト）
+     * @returns {Object} { buffer, missing: [{ offset, size, message }]（復元できなかった領域） }
+     */
+    extractTeamFile: function (team) {
+        if (!team.isMatchDerived || !team.rawBuffer) {
+            throw new Error('マッチファイル由来のチームではありません');
+        }
 
-        teams.forEach(team => {
-            if (team.rawBuffer) {
-                output.set(new Uint8Array(team.rawBuffer), offset);
-                offset += team.rawBuffer.byteLength;
+        // スロット832バイトだけのドキュメントはないため、スロットはバイト列から直接読む
+        const slot = new Uint8Array(team.rawBuffer);
+        const doc = CHEDocument.createTeam();
+        const record = doc.record(0);
+        const missing = [];
+        const miss = (offset, size, message) => missing.push({ offset, size, message });
+
+        miss(0x010, 0x138, 'ヘッダー後の不明領域（0埋め）');
+        miss(0x148, 0xF0, 'チームアイコン（マッチファイルとの対応が不明なため0埋め）');
+
+        // パレット・チーム名・オーナー名
+        record.palette.set(slot.subarray(0x014, 0x054));
+        record.nameBytes.set(slot.subarray(0x054, 0x06C));
+        record.ownerBytes.set(slot.subarray(0x06C, 0x084));
+        miss(0x2B0, 40, 'チーム名・オーナー名後の不明領域（0埋め）');
+
+        let okeCount = 0;
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            const summary = record.okeSummary(okeNum);
+            const program = record.program(okeNum);
+            const slotSummary = this.OKE_SUMMARY_OFFSET + okeNum * this.OKE_SUMMARY_SIZE;
+            const index = this.readUint32(slot, slotSummary) >>> 0;
+            const block = (team.okeBlocks || []).find(b => b.originalIndex === index);
+
+            if (!block) {
+                // OKEなし: 実ファイルと同じく0xCDパディング、インデックスは未使用
+                program.bytes.fill(0xCD);
+                summary.blockIndex = this.OKE_UNUSED_INDEX;
+                continue;
             }
-        });
 
-        return output.buffer;
+            okeCount++;
+            const data = new Uint8Array(block.data);
+
+            // サマリー: インデックスはteam.CHE内での意味が不明なため OKE番号 を入れる
+            summary.bytes.set(slot.subarray(slotSummary, slotSummary + this.OKE_SUMMARY_SIZE));
+            summary.blockIndex = okeNum;
+
+            // OKEプログラム: 先頭556バイト ← ブロック +0x1C94、パレット +0x230 ← ブロック +0x0000
+            program.summary.set(data.subarray(0x1C94, 0x1C94 + 556));
+            program.palette.set(data.subarray(0x0000, 0x0040));
+            miss(program.offset + 0x270, 0x60, `OKE${okeNum + 1} 統計/メタデータ（0埋め）`);
+            miss(program.offset + 0x2D0, 0x1BE0, `OKE${okeNum + 1} AIプログラム（マッチファイルに含まれないため0埋め）`);
+            miss(program.offset + 0x1EB0, 16, `OKE${okeNum + 1} フッター（0埋め）`);
+        }
+
+        // OKE数（観測ファイルでは実体のあるOKE数と一致）
+        record.okeCount = okeCount;
+        miss(0x5FB4, 12, 'フッター（0埋め）');
+
+        return { buffer: doc.serialize(), missing: missing };
+    },
+
+    /**
+     * テンプレートを使わずに空のマッチファイル（CEMD）を作る
+     * チーム0・全スロット未使用・全OKEブロック空の状態を、SML.CHEで観測した値から領域ごとに書き出す
+     * （ヘッダー後の 0x190-0x487 は用途不明のため0埋め。詳細は MATCH_CHE_FORMAT.md）
+     * @param {Object} model - { tournamentName, settings: parseMatchSettingsと同じ形式 }
+     * @returns {Uint8Array} 266,232バイトのCEMDファイルデータ
+     */
+    createBlankMatchFile: function (model = {}) {
+        const output = new Uint8Array(this.MATCH_FILE_SIZE);
+        const view = new DataView(output.buffer);
+        const settings = Object.assign({}, this.DEFAULT_MATCH_SETTINGS, model.settings);
+        const tournamentName = model.tournamentName || '';
+
+        // ヘッダー (0x000-0x147)
+        output.set([0x43, 0x45, 0x4D, 0x44], 0x000);  // CEMD
+        view.setUint32(0x004, 0x148, true);            // ヘッダーサイズ
+        output.set([0x30, 0x2E, 0x30, 0x2E, 0x34, 0x34], 0x008); // バージョン 0.0.44
+        this.writeSJISString(output, 0x018, tournamentName, this.NAME_MAX_BYTES);
+        output.fill(0xCD, 0x030, 0x034);               // パディング
+        view.setUint32(0x03C, 1, true);                // 不明（常に1）
+        output.fill(0x01, this.PAIR_FLAG_OFFSET, 0x120); // 対戦マトリクス（実ファイルの値）
+
+        // 重複ヘッダー (0x148-0x18F)
+        view.setUint32(0x148, 32, true);               // 大会名サイズ
+        this.writeSJISString(output, 0x168, tournamentName, this.NAME_MAX_BYTES);
+        output.fill(0xCD, 0x180, 0x184);
+
+        // チームスロット (16 x 832)
+        for (let slot = 0; slot < this.MAX_TEAMS; slot++) {
+            this.writeUnusedSlot(output, slot);
+        }
+
+        // 勝敗データ領域 (0x3888-0x38BB) は0のまま
+
+        // OKEブロック (31 x 7,872) と、その後ろの領域
+        // 0x3F1FC 以降は32個目の空ブロックがフッターの手前 (0x40E50) まで入っている
+        const emptyBlock = this.createEmptyOkeBlock();
+        for (let i = 0; i < this.MAX_OKE_BLOCKS; i++) {
+            output.set(emptyBlock, this.OKE_BLOCK_START + i * this.OKE_BLOCK_SIZE);
+        }
+        const extraStart = this.OKE_BLOCK_START + this.MAX_OKE_BLOCKS * this.OKE_BLOCK_SIZE;
+        output.set(emptyBlock.subarray(0, this.SETTINGS_MIRROR_DELTA - extraStart), extraStart);
+
+        // フッター (0x40E50-): ヘッダーと同じ並び。チーム数・マッチ数の位置は別の値が入っている
+        const footer = this.SETTINGS_MIRROR_DELTA;
+        view.setUint32(footer + 0x034, 1, true);       // 不明（SML.CHEの値）
+        view.setUint32(footer + 0x03C, 1, true);
+        output.fill(0x01, footer + this.PAIR_FLAG_OFFSET, footer + 0x120);
+        view.setUint32(footer + 0x158, 1, true);       // 不明（SML.CHEの値）
+
+        // 対戦設定（ヘッダーとフッターの両方）
+        this.writeMatchSettings(output, settings);
+
+        return output;
+    },
+
+    /**
+     * スロットを未使用の状態にする
+     * 名前・オーナー欄は0xCD埋め、OKEサマリーはブロック0-2を指す（SML.CHEの未使用スロットと同じ）
+     * @param {Uint8Array} output - マッチファイルデータ
+     * @param {number} slot - スロット番号 (0-15)
+     */
+    writeUnusedSlot: function (output, slot) {
+        const start = this.SLOT_START_OFFSET + slot * this.SLOT_SIZE;
+        const view = new DataView(output.buffer, output.byteOffset);
+
+        output.fill(0, start, start + this.SLOT_SIZE);
+        output.set(this.DEFAULT_PALETTE, start + 0x014);
+        output.fill(0xCD, start + 0x055, start + 0x06D);  // チーム名（先頭はNULL）
+        output.fill(0xCD, start + 0x06E, start + 0x094);  // オーナー名（先頭はNULL）〜アイコン2
+        view.setFloat32(start + 0x0A0, 1.0, true);
+        view.setFloat32(start + 0x0B0, 1.0, true);
+        view.setUint32(start + 0x0B4, slot, true);        // チームID
+
+        for (let okeNum = 0; okeNum < 3; okeNum++) {
+            const summary = start + this.OKE_SUMMARY_OFFSET + okeNum * this.OKE_SUMMARY_SIZE;
+            view.setUint32(summary, okeNum, true);
+            view.setUint32(summary + 4, this.OKE_MAGIC, true);
+            view.setUint32(summary + 8, 1, true);
+        }
+
+        output.fill(0xCD, start + 0x148, start + 0x154);  // OKEビットマップ先頭
+    },
+
+    /**
+     * 空のOKEブロック（SML.CHEのBlock 4-30と同じ内容）
+     * 名前のないOKEに初期状態のカウンタ名などが入った形
+     * @returns {Uint8Array} 7,872バイト
+     */
+    createEmptyOkeBlock: function () {
+        const block = new Uint8Array(this.OKE_BLOCK_SIZE);
+        const view = new DataView(block.buffer);
+
+        block.set(this.DEFAULT_PALETTE, 0x0000);
+        block.fill(0xFF, 0x0048, 0x0050);
+        block[0x0088] = 1;
+        view.setUint32(0x009C, 100, true);
+        view.setUint32(0x00A0, 100, true);
+        block.fill(0xCD, 0x00A4, 0x00B0);
+
+        // 8バイトおきの 0x40 (323個)
+        for (let i = 0x0DB1; i <= 0x17C1; i += 8) {
+            block[i] = 0x40;
+        }
+
+        // カウンタ名 CNT-A〜CNT-H（6バイトずつ）
+        for (let i = 0; i < 8; i++) {
+            block.set([0x43, 0x4E, 0x54, 0x2D, 0x41 + i], 0x17E0 + i * 6);
+        }
+        // 番号 1〜10（11バイトずつ）
+        for (let i = 0; i < 10; i++) {
+            block[0x1810 + i * 11] = i + 1;
+        }
+        // 「コメント１」〜「コメント１０」（101バイトずつ）
+        for (let i = 0; i < 10; i++) {
+            const number = String(i + 1).split('').map(d => '０１２３４５６７８９'[d]).join('');
+            this.writeSJISString(block, 0x187E + i * 101, `コメント${number}`, 24);
+        }
+
+        block[0x1C88] = 1;
+        block.fill(0xCD, 0x1C95, 0x1CB0);                 // OKE名（先頭はNULL）
+        block.fill(0xCD, 0x1CB5, 0x1CC0);
+
+        return block;
     },
 
     // テンプレートデータ（template.CHEから読み込む）
     templateData: null,
 
     // テンプレート読み込み
-    loadTemplate: async function () {
+    loadTemplate: async function (path) {
         try {
-            const response = await fetch('template.CHE');
-            if (!response.ok) throw new Error('Template load failed');
-            const buffer = await response.arrayBuffer();
-            this.templateData = new Uint8Array(buffer);
+            if (typeof window === 'undefined' && typeof require === 'function') {
+                // Node.js: ファイルから読み込む（既定は web-app/template.CHE）
+                const fs = require('fs');
+                const file = path || require('path').join(__dirname, '..', 'template.CHE');
+                this.templateData = new Uint8Array(fs.readFileSync(file));
+            } else {
+                const response = await fetch(path || 'template.CHE');
+                if (!response.ok) throw new Error('Template load failed');
+                const buffer = await response.arrayBuffer();
+                this.templateData = new Uint8Array(buffer);
+            }
             console.log('Template loaded:', this.templateData.byteLength);
             return true;
         } catch (e) {
             console.error('Failed to load template:', e);
             this.templateData = null;
-            // トースト通知を使用（index.htmlで定義されている）
-            if (typeof showToast === 'function') {
-                showToast('テンプレートファイルの読み込みに失敗しました。', 'error');
-            } else {
-                alert('テンプレートファイルの読み込みに失敗しました。');
+            // マッチデータはテンプレートなしで生成できるため、通知だけにとどめる
+            if (typeof App !== 'undefined' && App.showToast) {
+                App.showToast('template.CHEを読み込めませんでした。マッチデータはテンプレートなしで生成します', 'info');
             }
             return false;
         }
     },
 
+    /**
+     * マッチデータがテンプレートとして使えるか確認
+     * @param {Uint8Array} bytes - マッチデータ
+     * @returns {string|null} 使えない理由（使える場合はnull）
+     */
+    checkTemplate: function (bytes) {
+        if (!bytes || this.readString(bytes, 0, 4) !== this.TYPE_MATCH) {
+            return 'マッチデータ（CEMD）ではありません';
+        }
+        if (bytes.byteLength < this.MATCH_FILE_SIZE) {
+            return `ファイルサイズが足りません (${bytes.byteLength}/${this.MATCH_FILE_SIZE} バイト)`;
+        }
+        return null;
+    },
+
+    /**
+     * 生成オプションから土台にするマッチデータを決める
+     * 既定はテンプレートがあればテンプレート、なければテンプレートなしで生成
+     * @param {Object} options - buildMatchDocumentの生成オプション
+     * @returns {Uint8Array|null} テンプレート（null: テンプレートなし）
+     */
+    resolveTemplate: function (options = {}) {
+        return options.useTemplate === false ? null : (options.template || this.templateData);
+    },
+
+    /**
+     * buildMatchDocumentと同じ土台でOKEブロックの再配置を計画する（保存前の容量表示用）
+     * 任意のマッチデータのOKEブロックには大会のOKEが入っているため、team.CHEは空のOKEブロックに変換する
+     * @param {Array} teams - チームデータ配列（先頭16チームを使う）
+     * @param {Object} options - buildMatchDocumentの生成オプション
+     * @returns {Object} planOkeBlocksの戻り値
+     */
+    planMatchOkeBlocks: function (teams, options = {}) {
+        const template = this.resolveTemplate(options);
+        const customTemplate = !!template && template !== this.templateData;
+        return this.planOkeBlocks(teams.slice(0, this.MAX_TEAMS), customTemplate ? null : template);
+    },
+
     /**
      * CHEファイルを生成（マッチ形式）
      * @param {Array} teams - チームデータ配列
      * @param {String} tournamentName - 大会名
-     * @returns {Uint8Array} 生成されたCHEファイルデータ
+     * @param {Object} options - 生成オプション（buildMatchDocumentと同じ）
+     * @returns {ArrayBuffer} 生成されたCHEファイルデータ
+     */
+    generateMatchFile: function (teams, tournamentName = '新規大会', options = {}) {
+        return this.buildMatchDocument(teams, tournamentName, options).serialize();
+    },
+
+    /**
+     * マッチファイルのドキュメントを組み立てる
+     * @param {Array} teams - チームデータ配列
+     * @param {String} tournamentName - 大会名
+     * @param {Object} options - 生成オプション
+     * @param {Array} [options.results] - 勝敗データ（実験的: 指定時のみ未検証の仮説レイアウトで書き込む）
+     * @param {Object} [options.settings] - 対戦設定（指定した項目のみ書き込む）
+     * @param {number} [options.matchCount] - マッチ数（省略時は観測値。観測値のないチーム数・方式では必須）
+     * @param {boolean} [options.useTemplate] - テンプレートを土台にする（省略時はテンプレートが読み込まれていれば使う）
+     * @param {Uint8Array} [options.template] - 土台にするマッチデータ（省略時はtemplate.CHE）
+     * @returns {CHEDocument} 生成したマッチファイル
      */
-    // 注: 勝敗データは保存しない（ユーザー要望により）
-    generateMatchFile: function (teams, tournamentName = '新規大会') {
-        if (!this.templateData) {
+    // 注: 勝敗データはoptions.resultsを指定した場合のみ保存する（既定はテンプレートのまま）
+    buildMatchDocument: function (teams, tournamentName = '新規大会', options = {}) {
+        const template = this.resolveTemplate(options);
+        const useTemplate = !!template;
+        // 任意のマッチデータをテンプレートにした場合は、その大会のチーム・OKE・勝敗を引き継がない
+        const customTemplate = useTemplate && template !== this.templateData;
+        if (options.useTemplate && !template) {
             throw new Error('テンプレートが読み込まれていません');
         }
+        if (useTemplate) {
+            const templateError = this.checkTemplate(template);
+            if (templateError) throw new Error(`テンプレートとして使えません: ${templateError}`);
+        }
 
-        // 解析に基づく固定パラメータ
-        const TOTAL_FILE_SIZE = 266232;
-        const SLOT_SIZE = 832;           // 0x340 bytes
-        const SLOT_START_OFFSET = 0x488; // Slot 1からデータ開始
-        const OKE_BLOCK_START = 0x38BC;
-        const OKE_BLOCK_SIZE = 7872;
-        const OKE_MAGIC = [0xC8, 0xE7, 0xAC, 0x08];
-        const OKE_FLAG = [0x01, 0x00, 0x00, 0x00];
-        const MAX_OKE_BLOCKS = 31;
-
-        // バッファ作成 - SML.CHE（動作確認済みテンプレート）を完全コピー
-        const output = new Uint8Array(TOTAL_FILE_SIZE);
-        const view = new DataView(output.buffer);
-        output.set(this.templateData.slice(0, TOTAL_FILE_SIZE));
+        // 土台 - SML.CHE（動作確認済みテンプレート）を完全コピー、またはテンプレートなしの空ファイル
+        const doc = useTemplate
+            ? new CHEDocument(template.subarray(0, this.MATCH_FILE_SIZE))
+            : CHEDocument.createMatch();
+        const templateTeamCount = useTemplate ? Math.min(doc.teamCount, this.MAX_TEAMS) : 0;
 
-        // ヘッダー: 大会名を書き込み
-        const tNameBytes = Encoding.toSJIS(tournamentName);
-        // 0x18: 大会名1
-        for (let i = 0x18; i < 0x18 + 24; i++) output[i] = 0;
-        for (let i = 0; i < tNameBytes.length && i < 24; i++) {
-            output[0x18 + i] = tNameBytes[i];
-        }
-        // 0x168: 大会名2
-        for (let i = 0x168; i < 0x180; i++) output[i] = 0;
-        for (let i = 0; i < tNameBytes.length && i < 24; i++) {
-            output[0x168 + i] = tNameBytes[i];
+        // ヘッダー: 大会名（0x18: 大会名1, 0x168: 大会名2）
+        doc.tournamentName = tournamentName;
+
+        // 対戦設定（タイムリミット・フィールド・方式等）
+        if (options.settings) {
+            doc.settings = options.settings;
         }
+        const mode = doc.settings.mode;
 
-        // チーム数・マッチ数を更新
-        const teamCount = Math.min(teams.length, 16);
-        const matchCount = (teamCount * (teamCount - 1)) / 2; // リーグ戦の場合
-        view.setUint32(0x34, teamCount, true);
-        view.setUint32(0x38, matchCount, true);
-        view.setUint32(0x184, teamCount, true);
-        view.setUint32(0x188, matchCount, true);
+        // チーム数・マッチ数を更新（マッチ数は指定値か、対戦方式ごとの観測値）
+        const teamCount = Math.min(teams.length, this.MAX_TEAMS);
+        const matchCount = this.resolveMatchCount(teamCount, mode, options.matchCount);
+        doc.teamCount = teamCount;
+        doc.matchCount = matchCount;
 
-        console.log(`Generating match file: ${teamCount} teams, ${matchCount} matches, tournamentName=${tournamentName}`);
+        console.log(`Generating match file: ${teamCount} teams, ${matchCount} matches, mode=${mode}, tournamentName=${tournamentName}`);
 
-        if (teams.length > 16) {
-            console.warn(`Warning: ${teams.length} teams provided, but only first 16 will be used`);
+        if (teams.length > this.MAX_TEAMS) {
+            console.warn(`Warning: ${teams.length} teams provided, but only first ${this.MAX_TEAMS} will be used`);
         }
 
-        // OKEブロックインデックスをリセット（各生成時に0から開始）
-        this._nextOkeBlockIndex = 0;
-
-        // 元のインデックスから新しいインデックスへのマッピング（全チームで共有）
-        const indexMap = {};
+        // OKEブロックの再配置計画（内容が同じブロックは全ソースファイルで1つにまとめる）
+        const okePlan = this.planMatchOkeBlocks(teams, options);
+        if (okePlan.blocks.length > this.MAX_OKE_BLOCKS) {
+            throw new Error(`OKEブロックが不足しています: ${okePlan.blocks.length}/${this.MAX_OKE_BLOCKS}`);
+        }
+        okePlan.blocks.forEach((block, newIndex) => {
+            doc.okeBlock(newIndex).bytes.set(block.data.subarray(0, this.OKE_BLOCK_SIZE));
+            console.log(`    OKE Block -> ${newIndex}: ${block.name}`);
+        });
 
-        // 2. 選択したチームのスロットのみ上書き（最大16チーム、残りはテンプレートのまま）
-        teams.slice(0, 16).forEach((team, index) => {
-            const slotStart = SLOT_START_OFFSET + (index * SLOT_SIZE);
-            if (slotStart + SLOT_SIZE > TOTAL_FILE_SIZE) return;
+        // 選択したチームのスロットのみ上書き（最大16チーム、残りはテンプレートのまま）
+        teams.slice(0, this.MAX_TEAMS).forEach((team, index) => {
+            const slot = doc.slot(index);
+            const remap = okePlan.remaps[index];
 
             // デバッグ: チームデータの状態を確認
             console.log(`Slot ${index + 1}: name=${team.name}, isMatchDerived=${team.isMatchDerived}, hasRawBuffer=${!!team.rawBuffer}, rawBufferSize=${team.rawBuffer ? team.rawBuffer.byteLength : 0}`);
 
-            // match.CHE由来のチームはrawBufferをコピーし、OKEブロックも再配置
+            // match.CHE由来のチームはスロットをそのままコピーし、OKEサマリーのインデックスを再配置後の値に更新
             if (team.isMatchDerived && team.rawBuffer) {
-                const src = new Uint8Array(team.rawBuffer);
-                console.log(`  Copying rawBuffer: size=${src.length}`);
-
-                // スロットデータをコピー
-                for (let k = 0; k < SLOT_SIZE && k < src.length; k++) {
-                    output[slotStart + k] = src[k];
-                }
+                slot.bytes.set(new Uint8Array(team.rawBuffer).subarray(0, this.SLOT_SIZE));
 
-                // OKEブロックを新しい位置にコピーし、インデックスを更新
-                if (team.okeBlocks && team.okeBlocks.length > 0) {
-                    const OKE_BLOCK_START = 0x38BC;
-                    const OKE_BLOCK_SIZE = 7872;
-
-                    for (const okeBlock of team.okeBlocks) {
-                        // 既にマップされていればスキップ（同じOKEを複数回コピーしない）
-                        if (indexMap[okeBlock.originalIndex] !== undefined) {
-                            continue;
-                        }
-
-                        const newIndex = this._nextOkeBlockIndex;
-                        if (newIndex < MAX_OKE_BLOCKS) {
-                            const blockData = new Uint8Array(okeBlock.data);
-                            const destOffset = OKE_BLOCK_START + newIndex * OKE_BLOCK_SIZE;
-
-                            // バッファオーバーフロー防止
-                            if (destOffset + OKE_BLOCK_SIZE > TOTAL_FILE_SIZE) {
-                                console.warn(`OKE block ${newIndex} would exceed file size, skipping`);
-                                continue;
-                            }
-
-                            // OKEブロックをコピー（output.set()で効率化）
-                            const copySize = Math.min(OKE_BLOCK_SIZE, blockData.length);
-                            output.set(blockData.slice(0, copySize), destOffset);
-
-                            indexMap[okeBlock.originalIndex] = newIndex;
-                            this._nextOkeBlockIndex++;
-
-                            // OKE名を取得してログ（Encoding.toUTF8を使用）
-                            const okeNameBytes = blockData.slice(0x1C94, 0x1C94 + 24);
-                            const okeName = Encoding.toUTF8(okeNameBytes).replace(/\0/g, '');
-                            console.log(`    OKE Block ${okeBlock.originalIndex} -> ${newIndex}: ${okeName}`);
-                        }
+                slot.okeSummaries.forEach(summary => {
+                    const oldIndex = summary.blockIndex;
+                    if (oldIndex < this.MAX_OKE_BLOCKS && remap[oldIndex] !== undefined) {
+                        summary.blockIndex = remap[oldIndex];
+                        console.log(`    Slot OKE${summary.okeNum + 1} index: ${oldIndex} -> ${remap[oldIndex]}`);
                     }
-
-                    // スロット内のOKEサマリーインデックスを新しい値に更新
-                    for (let okeNum = 0; okeNum < 3; okeNum++) {
-                        const okeIndexOffset = slotStart + 0xB8 + okeNum * 48;
-                        const oldIndex = view.getUint32(okeIndexOffset, true);
-
-                        if (oldIndex < 31 && indexMap[oldIndex] !== undefined) {
-                            view.setUint32(okeIndexOffset, indexMap[oldIndex], true);
-                            console.log(`    Slot OKE${okeNum + 1} index: ${oldIndex} -> ${indexMap[oldIndex]}`);
-                        }
-                    }
-                }
-
-                return; // このチームは処理完了
+                });
+                return;
             }
 
-            // team.CHE由来の場合
+            // team.CHE由来の場合: パレット・チーム名・オーナー名を移し、OKEサマリーを作る
             if (team.rawBuffer && !team.isMatchDerived) {
-                const src = new Uint8Array(team.rawBuffer);
+                const record = new CHEDocument(team.rawBuffer).record(0);
                 console.log(`  Converting team.CHE: ${team.name}`);
 
-                // マッピング: team.CHE → match.CHE slot
-                // team.CHE構造: パレット0x240-0x27F, チーム名0x280, オーナー名0x298
-                const copyMap = [
-                    [0x240, 0x14, 64],   // パレット (0x240-0x27F → 0x14-0x53)
-                    [0x280, 0x54, 24],   // チーム名 (0x280-0x297 → 0x54-0x6B)
-                    [0x298, 0x6C, 24],   // オーナー名 (0x298-0x2AF → 0x6C-0x83)
-                ];
-
-                for (const [srcOff, dstOff, len] of copyMap) {
-                    for (let k = 0; k < len && (srcOff + k) < src.byteLength; k++) {
-                        output[slotStart + dstOff + k] = src[srcOff + k];
-                    }
-                }
+                slot.palette.set(record.palette);
+                slot.nameBytes.set(record.nameBytes);
+                slot.ownerBytes.set(record.ownerBytes);
 
-                // チームID/登録順番号（slot+0x0B4）
+                // チームID/登録順番号
                 // 実ファイルでは飛び飛びのケースもあるが、生成時はスロット順で連番にしておく
-                view.setUint32(slotStart + 0x0B4, index, true);
-
-                // OKEサマリーの初期化（無効スロットを有効化）
-                // SML.CHEのBlock 0,1,2に有効なOKEがある（ほのお/くさ/みずタイプ）
-                // 構造: [index(4B)][magic(4B)][flag(4B)][stats(36B)]
-                const BASE_OKE_INDICES = [0, 1, 2]; // Block 0,1,2の有効なOKEを参照
-
-                for (let okeNum = 0; okeNum < 3; okeNum++) {
-                    const okeOffset = slotStart + 0xB8 + (okeNum * 48);
-
-                    // 現在のインデックスを確認
-                    const currentIndex = view.getUint32(okeOffset, true);
-                    let nextIndex = currentIndex;
-
-                    // 参照先ブロックが「空」（サマリー先頭が0）なら、既定OKEに置き換える
-                    if (currentIndex < 31) {
-                        const summaryOffset = OKE_BLOCK_START + (currentIndex * OKE_BLOCK_SIZE) + 0x1C94;
-                        const isBlockEmpty = summaryOffset + 1 <= TOTAL_FILE_SIZE && output[summaryOffset] === 0;
-                        if (isBlockEmpty) {
-                            nextIndex = 0xFFFFFFFF;
-                        }
+                slot.teamId = index;
+
+                // OKEサマリー: 変換したOKEブロックを参照させ、統計はteam.CHEのサマリー (0x2E4) から取る
+                slot.okeSummaries.forEach(summary => {
+                    const okeNum = summary.okeNum;
+                    summary.bytes.fill(0);
+
+                    // OKEがない場合は未使用 (-1)
+                    if (remap[okeNum] === undefined) {
+                        summary.blockIndex = this.OKE_UNUSED_INDEX;
+                        console.log(`    OKE${okeNum + 1}: unused`);
+                        return;
                     }
 
-                    // 無効(-1)または0xCDパディングの場合、有効なインデックスで初期化
-                    if (nextIndex === 0xFFFFFFFF || nextIndex === 0xCDCDCDCD) {
-                        // インデックスを設定（Slot 0と同じOKEを参照）
-                        view.setUint32(okeOffset, BASE_OKE_INDICES[okeNum], true);
-
-                        // マジックを設定
-                        for (let b = 0; b < 4; b++) {
-                            output[okeOffset + 4 + b] = OKE_MAGIC[b];
-                        }
-
-                        // フラグを設定
-                        for (let b = 0; b < 4; b++) {
-                            output[okeOffset + 8 + b] = OKE_FLAG[b];
-                        }
-
-                        // 統計データはゼロクリア
-                        for (let b = 12; b < 48; b++) {
-                            output[okeOffset + b] = 0;
-                        }
-
-                        console.log(`    OKE${okeNum + 1} initialized: index=${BASE_OKE_INDICES[okeNum]}`);
-                    } else {
-                        // インデックスが有効でも、magic/flagが未初期化の場合は補正しておく
-                        const magicOk =
-                            output[okeOffset + 4] === OKE_MAGIC[0] &&
-                            output[okeOffset + 5] === OKE_MAGIC[1] &&
-                            output[okeOffset + 6] === OKE_MAGIC[2] &&
-                            output[okeOffset + 7] === OKE_MAGIC[3];
-                        const flagOk =
-                            output[okeOffset + 8] === OKE_FLAG[0] &&
-                            output[okeOffset + 9] === OKE_FLAG[1] &&
-                            output[okeOffset + 10] === OKE_FLAG[2] &&
-                            output[okeOffset + 11] === OKE_FLAG[3];
-
-                        if (!magicOk || !flagOk) {
-                            for (let b = 0; b < 4; b++) output[okeOffset + 4 + b] = OKE_MAGIC[b];
-                            for (let b = 0; b < 4; b++) output[okeOffset + 8 + b] = OKE_FLAG[b];
-                            for (let b = 12; b < 48; b++) output[okeOffset + b] = 0;
-                        }
-                    }
-                }
+                    summary.blockIndex = remap[okeNum];
+                    summary.magic = this.OKE_MAGIC;
+                    summary.flag = 1;
+                    summary.stats.set(record.okeSummary(okeNum).stats);
+                    console.log(`    OKE${okeNum + 1}: block ${remap[okeNum]}`);
+                });
 
                 console.log(`  Done: team.CHE converted`);
             }
@@ -593,11 +1205,22 @@ const CHEParser = {
         // 残りのスロット(teams.length+1 ~ 16)はテンプレートのまま維持
         // PSPはスロット領域に有効なデータ構造を期待するため、ゼロクリアすると破損扱いになる
         console.log(`Slots ${teams.length + 1}-16: keeping template data`);
+        // ただしテンプレートの大会で使われていたスロットは未使用の状態に戻す
+        for (let index = teamCount; index < templateTeamCount; index++) {
+            doc.slot(index).clear();
+        }
 
-        // ユーザー要望により、勝敗データは保存しない（テンプレートのまま維持）
+        // 勝敗データ: 指定がなければテンプレートのまま維持（任意のマッチデータの場合は空にする）
+        if (customTemplate && !options.results) {
+            doc.resultArea.fill(0);
+        }
+        if (options.results) {
+            const written = doc.setResults(options.results, teamCount);
+            console.log(`Match results written: ${written} pairs`);
+        }
 
         console.log('Match file generation complete');
-        return output.buffer;
+        return doc;
     }
 };
 
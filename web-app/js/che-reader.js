@@ -0,0 +1,110 @@
+/**
+ * CHE Reader - 範囲チェック付きのバイナリ読み込み
+ * ファイル末尾を超える読み込みは0や空文字で済ませず、オフセット付きの CHEParseError にする
+ */
+
+/**
+ * CHEファイルとして読めない（途中で切れている・別のファイル等）
+ * code は CHEParseError.TRUNCATED_HEADER などの定数
+ */
+class CHEParseError extends Error {
+    /**
+     * @param {string} code - エラーの種類
+     * @param {string} message - メッセージ
+     * @param {number|null} offset - 問題のあるファイル内オフセット
+     * @param {Object} details - 追加情報（{ size, byteLength } 等）
+     */
+    constructor(code, message, offset = null, details = {}) {
+        super(message);
+        this.name = 'CHEParseError';
+        this.code = code;
+        this.offset = offset;
+        this.details = details;
+    }
+}
+
+CHEParseError.UNKNOWN_FORMAT = 'UNKNOWN_FORMAT';         // マジックがCEMD/CETDでない
+CHEParseError.TRUNCATED_HEADER = 'TRUNCATED_HEADER';     // ヘッダーの途中で切れている
+CHEParseError.TRUNCATED_RECORD = 'TRUNCATED_RECORD';     // チームレコード（24,512バイト）の途中で切れている
+CHEParseError.BAD_RECORD_MAGIC = 'BAD_RECORD_MAGIC';     // 連結team.CHEのレコード先頭がCETDでない
+CHEParseError.BAD_TEAM_COUNT = 'BAD_TEAM_COUNT';         // チーム数が16を超える
+CHEParseError.SLOT_OVERFLOW = 'SLOT_OVERFLOW';           // 使用中のスロットがファイル末尾を超える
+CHEParseError.TRUNCATED_RESULTS = 'TRUNCATED_RESULTS';   // 勝敗データ領域がファイル末尾を超える
+CHEParseError.OKE_BLOCK_OVERFLOW = 'OKE_BLOCK_OVERFLOW'; // 参照されているOKEブロックがファイル末尾を超える
+CHEParseError.OUT_OF_RANGE = 'OUT_OF_RANGE';             // その他の範囲外読み込み
+
+class CHEReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - ファイルデータ
+     */
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    }
+
+    get length() {
+        return this.bytes.length;
+    }
+
+    /**
+     * 指定範囲がファイル内にあることを確認（なければ CHEParseError）
+     * @param {number} offset - 先頭オフセット
+     * @param {number} size - サイズ
+     * @param {string} what - 読もうとしたもの（メッセージ用）
+     * @param {string} code - エラーの種類
+     */
+    require(offset, size, what, code = CHEParseError.OUT_OF_RANGE) {
+        if (offset >= 0 && offset + size <= this.length) return;
+        throw new CHEParseError(code,
+            `${what}がファイル末尾を超えています (0x${this.hex(offset)}-0x${this.hex(offset + size - 1)}, ファイルサイズ ${this.length} バイト)`,
+            offset, { size: size, byteLength: this.length });
+    }
+
+    u8(offset, what = '値') {
+        this.require(offset, 1, what);
+        return this.bytes[offset];
+    }
+
+    u32(offset, what = '値') {
+        this.require(offset, 4, what);
+        return this.view.getUint32(offset, true);
+    }
+
+    f32(offset, what = '値') {
+        this.require(offset, 4, what);
+        return this.view.getFloat32(offset, true);
+    }
+
+    /**
+     * ASCII文字列（NULLは読み飛ばす）
+     */
+    ascii(offset, length, what = '文字列') {
+        this.require(offset, length, what);
+        return CHEParser.readString(this.bytes, offset, length);
+    }
+
+    /**
+     * Shift-JIS文字列（CHEParser.readSJISStringと同じ規則）
+     */
+    sjis(offset, length, what = '文字列') {
+        this.require(offset, length, what);
+        return CHEParser.readSJISString(this.bytes, offset, length);
+    }
+
+    /**
+     * バイト列のビュー
+     */
+    slice(offset, size, what = 'データ') {
+        this.require(offset, size, what);
+        return this.bytes.subarray(offset, offset + size);
+    }
+
+    hex(value) {
+        return Math.max(value, 0).toString(16).toUpperCase().padStart(5, '0');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHEReader, CHEParseError };
+}
@@ -0,0 +1,117 @@
+/**
+ * CHE Repair - マッチファイル（CEMD）の既知の不整合を修復
+ * MATCH_CHE_FORMAT.mdの「横断解析メモ」に記載のパターンのみを直し、それ以外のバイトは変更しない
+ */
+
+const CHERepair = {
+    /**
+     * 参照先を選び直す必要があるOKEインデックス（範囲外・空ブロック参照）を探す
+     * どのOKEを指すべきかはファイルから分からないため、修復では自動で付け替えず、利用者に選んでもらう
+     * @param {ArrayBuffer} buffer - CEMDファイルデータ
+     * @returns {Object} { problems: [{ offset, label, index, message }], candidates: [{ index, name }]（実体入りOKEブロック） }
+     */
+    findOkeIndexProblems: function (buffer) {
+        const P = CHEParser;
+        const bytes = new Uint8Array(buffer);
+        const teamCount = Math.min(P.readUint32(bytes, 0x34) >>> 0, P.MAX_TEAMS);
+        const problems = [];
+
+        for (let slot = 0; slot < teamCount; slot++) {
+            const slotStart = P.SLOT_START_OFFSET + slot * P.SLOT_SIZE;
+            if (slotStart + P.SLOT_SIZE > bytes.length) break;
+
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                const offset = slotStart + P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+                const index = P.readUint32(bytes, offset) >>> 0;
+                const label = `Slot ${slot + 1} OKE${okeNum + 1}`;
+                if (index === P.OKE_UNUSED_INDEX) continue;
+
+                if (index >= P.MAX_OKE_BLOCKS) {
+                    problems.push({ offset, label, index, message: `${label} のOKEインデックスが範囲外です: ${index}` });
+                } else if (P.isOkeBlockEmpty(bytes, index)) {
+                    problems.push({ offset, label, index, message: `${label} が空のOKEブロック ${index} を参照しています` });
+                }
+            }
+        }
+
+        const candidates = [];
+        for (let index = 0; index < P.MAX_OKE_BLOCKS; index++) {
+            if (P.isOkeBlockEmpty(bytes, index)) continue;
+            candidates.push({ index, name: P.readOkeName(bytes, P.OKE_BLOCK_START + index * P.OKE_BLOCK_SIZE + 0x1C94) });
+        }
+
+        return { problems, candidates };
+    },
+
+    /**
+     * マッチファイルを修復したコピーを作る
+     * 範囲外・空ブロックを指すOKEインデックスは choices で選ばれたものだけ書き換え、選ばれなかったものは unresolved に残す
+     * @param {ArrayBuffer} buffer - 元のCEMDファイルデータ（変更しない）
+     * @param {Object} choices - { OKEサマリーのオフセット: 新しいOKEインデックス（0-30 / 0xFFFFFFFF: 未使用） }
+     * @returns {Object} { buffer: 修復後のArrayBuffer, changes: [{ offset, message }], unresolved: [{ offset, message }] }
+     */
+    repairMatchFile: function (buffer, choices = {}) {
+        const P = CHEParser;
+        const output = new Uint8Array(buffer.slice(0));
+        const view = new DataView(output.buffer);
+        const changes = [];
+        const unresolved = [];
+
+        if (P.readString(output, 0, 4) !== P.TYPE_MATCH) {
+            throw new Error('マッチファイル（CEMD）ではありません');
+        }
+
+        const u32 = (offset) => view.getUint32(offset, true);
+        const setU32 = (offset, value, message) => {
+            if (u32(offset) === value) return;
+            view.setUint32(offset, value, true);
+            changes.push({ offset, message });
+        };
+
+        // 1. 重複ヘッダーのチーム数・マッチ数を 0x034/0x038 に合わせる
+        const teamCount = u32(0x34);
+        const matchCount = u32(0x38);
+        if (teamCount === 0 || teamCount > P.MAX_TEAMS) {
+            throw new Error(`チーム数が不正なため修復できません: ${teamCount}`);
+        }
+        setU32(0x184, teamCount, `チーム数2を${teamCount}に修正`);
+        setU32(0x188, matchCount, `マッチ数2を${matchCount}に修正`);
+
+        // 2. 範囲外・空ブロックを指すOKEインデックスを、利用者が選んだブロックに付け替える
+        this.findOkeIndexProblems(buffer).problems.forEach(problem => {
+            const choice = choices[problem.offset];
+            if (choice === undefined) {
+                unresolved.push({ offset: problem.offset, message: `${problem.message}（参照先が選ばれていないため変更していません）` });
+                return;
+            }
+            if (choice !== P.OKE_UNUSED_INDEX && !(choice >= 0 && choice < P.MAX_OKE_BLOCKS)) {
+                throw new Error(`${problem.label}: OKEインデックスは0-30または未使用で指定してください: ${choice}`);
+            }
+            const to = choice === P.OKE_UNUSED_INDEX ? '未使用' : choice;
+            setU32(problem.offset, choice, `${problem.label} のOKEインデックスを ${problem.index} → ${to} に修正`);
+        });
+
+        // 3. 使用中スロットのOKEサマリーのマジック/フラグを復元
+        //    （未使用スロットの名前/オーナー欄の 00 CD ... はSML.CHEと同じ正常な状態のため変更しない）
+        for (let slot = 0; slot < teamCount; slot++) {
+            const slotStart = P.SLOT_START_OFFSET + slot * P.SLOT_SIZE;
+            if (slotStart + P.SLOT_SIZE > output.length) break;
+
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                const offset = slotStart + P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+                const label = `Slot ${slot + 1} OKE${okeNum + 1}`;
+                if (u32(offset) === P.OKE_UNUSED_INDEX) continue;
+
+                setU32(offset + 4, P.OKE_MAGIC, `${label} のマジックを c8 e7 ac 08 に修正`);
+                setU32(offset + 8, 1, `${label} のフラグを1に修正`);
+            }
+        }
+
+        return { buffer: output.buffer, changes: changes, unresolved: unresolved };
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHERepair;
+}
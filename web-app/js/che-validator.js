@@ -0,0 +1,202 @@
+/**
+ * CHE Validator - CHEファイルの構造チェック
+ * MATCH_CHE_FORMAT.mdに記載の「壊れ方」を検出し、オフセット付きの診断結果を返す
+ */
+
+const CHEValidator = {
+    // 診断レベル
+    LEVEL_ERROR: 'error',
+    LEVEL_WARNING: 'warning',
+    LEVEL_INFO: 'info',
+
+    // 未初期化パターン
+    UNINITIALIZED: 0xCDCDCDCD,
+
+    /**
+     * パース結果を検証する
+     * @param {Object} data - CHEParser.parseの戻り値
+     * @returns {Array} 診断結果 [{ level, offset, message }]（オフセット順）
+     */
+    validate: function (data) {
+        const diagnostics = [];
+        const bytes = new Uint8Array(data.raw);
+
+        if (data.type === 'match') {
+            this.validateMatchFile(bytes, data, diagnostics);
+        } else if (data.type === 'team') {
+            this.validateTeamFile(bytes, data, diagnostics);
+        }
+
+        return diagnostics.sort((a, b) => a.offset - b.offset);
+    },
+
+    /**
+     * ファイルデータを読み込んで検証する
+     * 読み込めないファイルは fromParseError の診断結果にする（DOMを使わないため CLI・テストからも使う）
+     * @param {ArrayBuffer} buffer - ファイルデータ
+     * @returns {Object} { data: CHEParser.parseの戻り値（読み込めなければnull）, diagnostics, error: 読み込めなかった理由（読み込めればnull） }
+     */
+    diagnose: function (buffer) {
+        try {
+            const data = CHEParser.parse(buffer);
+            return { data: data, diagnostics: this.validate(data), error: null };
+        } catch (error) {
+            return { data: null, diagnostics: this.fromParseError(error), error: error };
+        }
+    },
+
+    /**
+     * 読み込めなかったファイルの診断結果
+     * 途中で切れている・チーム数が16を超える等はCHEParser.parseの段階でCHEParseErrorになるため、
+     * validateの代わりにエラーを1件の診断結果にする
+     * @param {Error} error - CHEParser.parseが投げたエラー
+     * @returns {Array} 診断結果 [{ level, offset, message, code }]
+     */
+    fromParseError: function (error) {
+        return [{
+            level: this.LEVEL_ERROR,
+            offset: error.offset || 0,
+            message: error.message,
+            code: error instanceof CHEParseError ? error.code : null
+        }];
+    },
+
+    /**
+     * マッチファイル（CEMD）を検証
+     */
+    validateMatchFile: function (bytes, data, diagnostics) {
+        const P = CHEParser;
+        const add = (level, offset, message) => diagnostics.push({ level, offset, message });
+
+        if (bytes.length !== P.MATCH_FILE_SIZE) {
+            add(this.LEVEL_ERROR, 0, `ファイルサイズが${bytes.length}バイトです（正常: ${P.MATCH_FILE_SIZE}バイト）`);
+        }
+
+        // チーム数・マッチ数（0x034/0x038を正とし、0x184/0x188と比較）
+        // 16を超えるチーム数は CHEParser.parse が CHEParseError（BAD_TEAM_COUNT）にする
+        const teamCount = this.u32(bytes, 0x34);
+        const matchCount = this.u32(bytes, 0x38);
+        if (teamCount === 0) {
+            add(this.LEVEL_ERROR, 0x34, `チーム数が不正です: ${this.describe(teamCount)}`);
+        }
+        const teamCount2 = this.u32(bytes, 0x184);
+        if (teamCount2 !== teamCount) {
+            add(this.LEVEL_WARNING, 0x184, `チーム数2(0x184)が0x034と一致しません: ${this.describe(teamCount2)} / ${teamCount}`);
+        }
+        const matchCount2 = this.u32(bytes, 0x188);
+        if (matchCount2 !== matchCount) {
+            add(this.LEVEL_WARNING, 0x188, `マッチ数2(0x188)が0x038と一致しません: ${this.describe(matchCount2)} / ${matchCount}`);
+        }
+
+        // スロット
+        // 未使用スロットは名前/オーナー欄が 00 CD ... のパディング（SML.CHE・writeUnusedSlotと同じ）で正常なため確認しない
+        const usedSlots = Math.min(teamCount, P.MAX_TEAMS);
+        for (let slot = 0; slot < usedSlots; slot++) {
+            const slotStart = P.SLOT_START_OFFSET + slot * P.SLOT_SIZE;
+            if (slotStart + P.SLOT_SIZE > bytes.length) {
+                add(this.LEVEL_ERROR, slotStart, `Slot ${slot + 1} がファイル末尾を超えています`);
+                break;
+            }
+
+            const team = data.teams[slot];
+            if (!team || !team.name) {
+                add(this.LEVEL_WARNING, slotStart + 0x54, `Slot ${slot + 1} のチーム名が空です`);
+            }
+
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                const summary = slotStart + P.OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+                this.validateOkeSummary(bytes, summary, `Slot ${slot + 1} OKE${okeNum + 1}`, true, diagnostics);
+            }
+        }
+
+        // 勝敗データ: 形式が未検証のため読み込まない（勝敗表は空で表示される）
+        if (P.hasMatchResultData(bytes)) {
+            add(this.LEVEL_INFO, P.RESULT_AREA_OFFSET, '勝敗データ領域に値がありますが、形式が未検証のため読み込んでいません');
+        }
+    },
+
+    /**
+     * チームファイル（CETD）を検証
+     * ファイルサイズ（24,512バイトの倍数）とレコード先頭のCETDは CHEParser.parse が確認済み
+     * （満たさないファイルは CHEParseError になり、fromParseError で診断結果にする）
+     */
+    validateTeamFile: function (bytes, data, diagnostics) {
+        const P = CHEParser;
+        const add = (level, offset, message) => diagnostics.push({ level, offset, message });
+
+        // 連結ファイルはレコードごとに検証（ラベルにチーム番号を付ける）
+        const recordCount = bytes.length / P.TEAM_FILE_SIZE;
+        for (let record = 0; record < recordCount; record++) {
+            const base = record * P.TEAM_FILE_SIZE;
+            const prefix = recordCount > 1 ? `Team ${record + 1} ` : '';
+
+            if (!data.teams.some(team => team.fileOffset === base)) {
+                add(this.LEVEL_ERROR, base + 0x280, `${prefix}チーム名が空です`);
+            }
+
+            for (let okeNum = 0; okeNum < 3; okeNum++) {
+                const summary = base + P.TEAM_OKE_SUMMARY_OFFSET + okeNum * P.OKE_SUMMARY_SIZE;
+                this.validateOkeSummary(bytes, summary, `${prefix}OKE${okeNum + 1}`, false, diagnostics);
+            }
+        }
+    },
+
+    /**
+     * OKEサマリー（48バイト）を検証
+     * @param {boolean} checkBlock - 参照先OKEブロックの中身も確認するか（CEMDのみ）
+     */
+    validateOkeSummary: function (bytes, offset, label, checkBlock, diagnostics) {
+        const P = CHEParser;
+        const add = (level, at, message) => diagnostics.push({ level, offset: at, message });
+
+        const index = this.u32(bytes, offset);
+        const magic = this.u32(bytes, offset + 4);
+        const flag = this.u32(bytes, offset + 8);
+
+        // 未使用OKEはmagic/flagを問わない
+        if (index === P.OKE_UNUSED_INDEX) return;
+
+        if (index >= P.MAX_OKE_BLOCKS) {
+            add(this.LEVEL_ERROR, offset, `${label} のOKEインデックスが範囲外です: ${this.describe(index)}（0-30 または 0xFFFFFFFF）`);
+        } else if (checkBlock) {
+            // 参照先ブロックのOKE名（サマリー先頭）が空なら空ブロック参照
+            if (P.isOkeBlockEmpty(bytes, index)) {
+                add(this.LEVEL_WARNING, offset, `${label} が空のOKEブロック ${index} を参照しています`);
+            }
+        }
+
+        if (magic !== P.OKE_MAGIC) {
+            add(this.LEVEL_WARNING, offset + 4, `${label} のマジックが不正です: ${this.describe(magic)}（正常: 0x08ACE7C8）`);
+        }
+        if (flag !== 1) {
+            add(this.LEVEL_WARNING, offset + 8, `${label} のフラグが1ではありません: ${this.describe(flag)}`);
+        }
+    },
+
+    /**
+     * u32値を表示用文字列に変換（未初期化パターンは明示）
+     */
+    describe: function (value) {
+        if (value === this.UNINITIALIZED) return '0xCDCDCDCD（未初期化）';
+        return value > 0xFFFF ? '0x' + value.toString(16).toUpperCase() : String(value);
+    },
+
+    u32: function (bytes, offset) {
+        return CHEParser.readUint32(bytes, offset) >>> 0;
+    },
+
+    /**
+     * 診断結果をレベルごとに数える
+     * @returns {Object} { error, warning, info }
+     */
+    summarize: function (diagnostics) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        diagnostics.forEach(d => counts[d.level]++);
+        return counts;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CHEValidator;
+}
@@ -0,0 +1,408 @@
+/**
+ * Hex Inspector - 読み込んだCHEファイルをフィールド注釈付きの16進ダンプで表示
+ */
+
+const HexInspector = {
+    PAGE_SIZE: 512,    // 1ページに表示するバイト数（32行）
+    ROW_SIZE: 16,
+
+    fileIndex: -1,     // App.loadedFilesのインデックス
+    fields: [],        // CHELayout.getFieldsの結果（ファイル切り替え時に更新）
+    pageStart: 0,
+    selected: null,    // 選択中のフィールド
+
+    /**
+     * 初期化
+     */
+    init: function () {
+        document.getElementById('inspector-file').addEventListener('change', (e) => {
+            this.selectFile(parseInt(e.target.value));
+        });
+        document.getElementById('inspector-section').addEventListener('change', (e) => {
+            if (e.target.value !== '') this.jumpTo(parseInt(e.target.value));
+        });
+        document.getElementById('inspector-jump').addEventListener('click', () => this.jumpToInput());
+        document.getElementById('inspector-offset').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.jumpToInput();
+        });
+        document.getElementById('inspector-prev').addEventListener('click', () => this.showPage(this.pageStart - this.PAGE_SIZE));
+        document.getElementById('inspector-next').addEventListener('click', () => this.showPage(this.pageStart + this.PAGE_SIZE));
+
+        // バイトクリックでフィールドを選択
+        document.getElementById('inspector-hex').addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-offset]');
+            if (cell) this.selectOffset(parseInt(cell.dataset.offset));
+        });
+
+        // ファイル比較
+        document.getElementById('diff-target').addEventListener('change', () => this.renderDiffSlots());
+        document.getElementById('diff-run').addEventListener('click', () => this.runDiff());
+        document.getElementById('diff-results').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-offset]');
+            if (row) this.jumpTo(parseInt(row.dataset.offset));
+        });
+
+        this.renderLegend();
+        this.refresh();
+    },
+
+    /**
+     * 現在のファイルデータ
+     * @returns {Uint8Array|null}
+     */
+    getBytes: function () {
+        const file = App.loadedFiles[this.fileIndex];
+        return file && file.buffer ? new Uint8Array(file.buffer) : null;
+    },
+
+    /**
+     * 読み込み済みファイルの変更を反映
+     */
+    refresh: function () {
+        const select = document.getElementById('inspector-file');
+        select.innerHTML = '';
+
+        App.loadedFiles.forEach((file, index) => {
+            if (!file.buffer) return; // 読み込めなかったファイル
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${file.filename} (${file.type === 'team' ? 'Team' : 'Match'})`;
+            select.appendChild(option);
+        });
+
+        if (this.fileIndex < 0 || this.fileIndex >= App.loadedFiles.length) {
+            this.selectFile(App.loadedFiles.findIndex(file => file.buffer));
+        } else {
+            select.value = this.fileIndex;
+        }
+
+        this.renderDiffTargets();
+    },
+
+    /**
+     * 表示するファイルを切り替える
+     * @param {number} index - App.loadedFilesのインデックス
+     * @param {number} offset - 表示開始オフセット
+     */
+    selectFile: function (index, offset = 0) {
+        this.fileIndex = index;
+        this.selected = null;
+
+        const file = App.loadedFiles[index];
+        this.fields = file && file.buffer ? CHELayout.getFields(file.type, file.buffer.byteLength) : [];
+
+        document.getElementById('inspector-file').value = index;
+        this.renderSections();
+        this.renderDiffSlots();
+        this.jumpTo(offset);
+    },
+
+    /**
+     * チームのスロット（team.CHEならレコード先頭）へ移動
+     * チーム編集タブでチームをクリックした時に呼ばれる
+     * @param {Object} team - TeamEditorのチーム
+     */
+    focusTeam: function (team) {
+        if (!team || team.fileOffset === undefined) return;
+
+        // 同名のファイルが複数あっても、チームを読み込んだファイルを開く
+        const index = team.sourceFileIndex;
+        if (index === undefined || !App.loadedFiles[index]) return;
+
+        if (index !== this.fileIndex) {
+            this.selectFile(index, team.fileOffset);
+        } else {
+            this.jumpTo(team.fileOffset);
+        }
+    },
+
+    /**
+     * オフセット入力欄の値へ移動（10進/16進どちらも可）
+     */
+    jumpToInput: function () {
+        const input = document.getElementById('inspector-offset').value.trim();
+        const offset = /^0x/i.test(input) ? parseInt(input, 16) : parseInt(input, /[a-f]/i.test(input) ? 16 : 10);
+        const bytes = this.getBytes();
+
+        if (isNaN(offset) || !bytes || offset < 0 || offset >= bytes.length) {
+            App.showToast(`オフセットが範囲外です: ${input}`, 'error');
+            return;
+        }
+        this.jumpTo(offset);
+    },
+
+    /**
+     * 指定オフセットを含む行から表示し、そのフィールドを選択
+     */
+    jumpTo: function (offset) {
+        this.selected = CHELayout.findField(this.fields, offset);
+        this.showPage(offset - (offset % this.ROW_SIZE));
+    },
+
+    /**
+     * オフセットのフィールドを選択（ページは移動しない）
+     */
+    selectOffset: function (offset) {
+        this.selected = CHELayout.findField(this.fields, offset);
+        this.renderHex();
+        this.renderDetail();
+    },
+
+    /**
+     * 表示ページを切り替える
+     */
+    showPage: function (start) {
+        const bytes = this.getBytes();
+        const length = bytes ? bytes.length : 0;
+        const lastPage = Math.max(0, Math.ceil(length / this.ROW_SIZE) * this.ROW_SIZE - this.PAGE_SIZE);
+        this.pageStart = Math.max(0, Math.min(start, lastPage));
+
+        this.renderHex();
+        this.renderDetail();
+    },
+
+    /**
+     * セクション選択肢を描画
+     */
+    renderSections: function () {
+        const select = document.getElementById('inspector-section');
+        select.innerHTML = '<option value="">-- セクションへ移動 --</option>';
+
+        CHELayout.getSections(this.fields).forEach(s => {
+            const option = document.createElement('option');
+            option.value = s.offset;
+            option.textContent = `${this.formatOffset(s.offset)} ${s.section}`;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * 16進ダンプを描画
+     */
+    renderHex: function () {
+        const container = document.getElementById('inspector-hex');
+        const bytes = this.getBytes();
+
+        if (!bytes) {
+            container.innerHTML = '<p class="placeholder">CHEファイルを読み込むと表示されます</p>';
+            document.getElementById('inspector-position').textContent = '';
+            return;
+        }
+
+        const end = Math.min(this.pageStart + this.PAGE_SIZE, bytes.length);
+        const sel = this.selected;
+        let html = '';
+
+        for (let row = this.pageStart; row < end; row += this.ROW_SIZE) {
+            let hex = '';
+            let ascii = '';
+
+            for (let offset = row; offset < row + this.ROW_SIZE; offset++) {
+                if (offset >= end) {
+                    hex += '<span class="hex-byte"></span>';
+                    continue;
+                }
+                const field = CHELayout.findField(this.fields, offset);
+                const isSelected = sel && offset >= sel.offset && offset < sel.offset + sel.size;
+                const cls = `hex-byte g-${field.group}${offset === field.offset ? ' field-start' : ''}${isSelected ? ' selected' : ''}`;
+                const title = this.escapeHtml(`${field.section} / ${field.name}`);
+                const value = bytes[offset];
+
+                hex += `<span class="${cls}" data-offset="${offset}" title="${title}">${value.toString(16).toUpperCase().padStart(2, '0')}</span>`;
+                ascii += value >= 0x20 && value < 0x7F ? this.escapeHtml(String.fromCharCode(value)) : '.';
+            }
+
+            html += `<div class="hex-row"><span class="hex-offset">${this.formatOffset(row)}</span>${hex}<span class="hex-ascii">${ascii}</span></div>`;
+        }
+
+        container.innerHTML = html;
+        document.getElementById('inspector-position').textContent =
+            `${this.formatOffset(this.pageStart)} - ${this.formatOffset(end - 1)} / ${bytes.length} bytes`;
+    },
+
+    /**
+     * 選択中フィールドの詳細を描画
+     */
+    renderDetail: function () {
+        const container = document.getElementById('inspector-detail');
+        const bytes = this.getBytes();
+        const field = this.selected;
+        container.innerHTML = '';
+
+        if (!bytes || !field) {
+            container.innerHTML = '<p class="placeholder">バイトをクリックするとフィールドの内容を表示します</p>';
+            return;
+        }
+
+        const rows = [
+            ['セクション', field.section],
+            ['フィールド', field.name],
+            ['種類', CHELayout.GROUP_NAMES[field.group] || field.group],
+            ['範囲', `${this.formatOffset(field.offset)} - ${this.formatOffset(field.offset + field.size - 1)}`],
+            ['サイズ', `${field.size} バイト`],
+            ['値', CHELayout.decode(bytes, field)]
+        ];
+
+        const dl = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            dl.appendChild(dt);
+            dl.appendChild(dd);
+        });
+        container.appendChild(dl);
+
+        // パレットは色見本も表示
+        if (field.type === 'rgba') {
+            const swatches = document.createElement('div');
+            swatches.className = 'palette-swatches';
+            for (let i = field.offset; i + 3 < field.offset + field.size; i += 4) {
+                const swatch = document.createElement('span');
+                swatch.style.backgroundColor = `rgb(${bytes[i]}, ${bytes[i + 1]}, ${bytes[i + 2]})`;
+                swatches.appendChild(swatch);
+            }
+            container.appendChild(swatches);
+        }
+    },
+
+    /**
+     * 比較対象の選択肢を描画
+     */
+    renderDiffTargets: function () {
+        const select = document.getElementById('diff-target');
+        const current = select.value;
+        select.innerHTML = '';
+
+        App.loadedFiles.forEach((file, index) => {
+            if (!file.buffer) return; // 読み込めなかったファイル
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${file.filename} (${file.type === 'team' ? 'Team' : 'Match'})`;
+            select.appendChild(option);
+        });
+
+        if (current !== '' && current < App.loadedFiles.length) {
+            select.value = current;
+        }
+        this.renderDiffSlots();
+    },
+
+    /**
+     * CETDとCEMDを比較する時だけスロット選択を表示
+     */
+    renderDiffSlots: function () {
+        const select = document.getElementById('diff-slot');
+        const pair = this.getDiffPair();
+        select.innerHTML = '';
+
+        const match = pair && pair[0].type !== pair[1].type
+            ? pair.find(file => file.type === 'match')
+            : null;
+        select.classList.toggle('hidden', !match);
+        if (!match) return;
+
+        const data = CHEParser.parse(match.buffer);
+        data.teams.forEach((team, slot) => {
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = `Slot ${slot + 1}: ${team.name}`;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * 比較する2ファイル（表示中のファイル, 比較対象）
+     * @returns {Array|null}
+     */
+    getDiffPair: function () {
+        const a = App.loadedFiles[this.fileIndex];
+        const b = App.loadedFiles[parseInt(document.getElementById('diff-target').value)];
+        return a && b && a.buffer && b.buffer ? [a, b] : null;
+    },
+
+    /**
+     * 比較を実行
+     */
+    runDiff: function () {
+        const pair = this.getDiffPair();
+        if (!pair) {
+            App.showToast('比較するファイルを選択してください', 'error');
+            return;
+        }
+
+        const slot = parseInt(document.getElementById('diff-slot').value) || 0;
+        const entries = CHEDiff.diff(pair[0], pair[1], { slot: slot });
+        this.renderDiff(entries, pair);
+    },
+
+    /**
+     * 比較結果を構造ごとにまとめて描画
+     * 行をクリックすると表示中ファイルの該当位置へ移動する
+     */
+    renderDiff: function (entries, pair) {
+        const container = document.getElementById('diff-results');
+        document.getElementById('diff-summary').textContent =
+            `${entries.length} フィールド / ${CHEDiff.countBytes(entries)} バイトが異なります`;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="placeholder">差分はありません</p>';
+            return;
+        }
+
+        let html = `<table class="diff-table"><thead><tr><th>フィールド</th><th>オフセット</th>` +
+            `<th>${this.escapeHtml(pair[0].filename)}</th><th>${this.escapeHtml(pair[1].filename)}</th></tr></thead><tbody>`;
+        let section = null;
+
+        entries.forEach(e => {
+            if (e.section !== section) {
+                section = e.section;
+                html += `<tr class="diff-section-row"><th colspan="4">${this.escapeHtml(section)}</th></tr>`;
+            }
+            const offset = e.offsetA === e.offsetB
+                ? this.formatOffset(e.offsetA)
+                : `${this.formatOffset(e.offsetA)} / ${this.formatOffset(e.offsetB)}`;
+            html += `<tr data-offset="${e.offsetA}"><td>${this.escapeHtml(e.name)}</td><td>${offset}</td>` +
+                `<td class="diff-value">${this.escapeHtml(e.valueA)}</td><td class="diff-value">${this.escapeHtml(e.valueB)}</td></tr>`;
+        });
+
+        container.innerHTML = html + '</tbody></table>';
+    },
+
+    /**
+     * 色分けの凡例を描画
+     */
+    renderLegend: function () {
+        const legend = document.getElementById('inspector-legend');
+        legend.innerHTML = Object.entries(CHELayout.GROUP_NAMES)
+            .map(([group, label]) => `<span class="hex-byte g-${group}">${label}</span>`)
+            .join('');
+    },
+
+    formatOffset: function (offset) {
+        return '0x' + offset.toString(16).toUpperCase().padStart(5, '0');
+    },
+
+    escapeHtml: function (str) {
+        return str.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    },
+
+    /**
+     * リセット
+     */
+    reset: function () {
+        this.fileIndex = -1;
+        this.fields = [];
+        this.selected = null;
+        this.pageStart = 0;
+        document.getElementById('diff-results').innerHTML = '';
+        document.getElementById('diff-summary').textContent = '';
+        this.refresh();
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexInspector;
+}
@@ -88,25 +88,6 @@ const ResultCalc = {
         console.log('Teams:', teams.length);
         console.log('Data source:', dataSource);
 
-        // データソースに応じて結果データを取得
-        let results;
-        if (dataSource === 'asc') {
-            results = TableViewer.resultsAsc;
-        } else if (dataSource === 'desc') {
-            results = TableViewer.resultsDesc;
-        } else if (dataSource === 'merged') {
-            // 両方を合算
-            results = this.mergeResults(TableViewer.resultsAsc, TableViewer.resultsDesc, teams.length);
-        }
-
-        console.log('Results:', results);
-
-        if (!results || results.length === 0) {
-            console.error('No results data');
-            this.renderEmpty();
-            return;
-        }
-
         // 勝点設定を取得
         const winPt = parseInt(document.getElementById('win-point')?.value) || 3;
         const drawPt = parseInt(document.getElementById('draw-point')?.value) || 1;
@@ -115,41 +96,46 @@ const ResultCalc = {
         console.log('Point settings:', { winPt, drawPt, losePt });
 
         // 各チームの成績を計算
-        this.standings = teams.map((team, index) => {
+        this.standings = this.computeStandings(teams, TableViewer.resultsAsc, TableViewer.resultsDesc, dataSource, { winPt, drawPt, losePt });
+
+        console.log('Standings:', this.standings);
+
+        // 順位付け
+        this.sortStandings();
+
+        // 表示更新
+        this.renderStandings();
+        this.renderResultText();
+    },
+
+    /**
+     * 各チームの成績を計算（DOMに依存しないためCLIからも使う）
+     * @param {Array} teams - チーム
+     * @param {Array} resultsAsc - 正順データ results[i][j]
+     * @param {Array} resultsDesc - 逆順データ results[i][j]
+     * @param {string} dataSource - 'asc' | 'desc' | 'merged'
+     * @param {Object} pointSettings - { winPt, drawPt, losePt }
+     * @returns {Array} 成績（チーム順、順位は sortStandings で付与）
+     */
+    computeStandings: function (teams, resultsAsc, resultsDesc, dataSource, pointSettings) {
+        // 合算時は正順と逆順の勝敗を別々にカウントする
+        const sources = dataSource === 'merged' ? [resultsAsc, resultsDesc]
+            : [dataSource === 'desc' ? resultsDesc : resultsAsc];
+
+        return teams.map((team, index) => {
             let wins = 0, draws = 0, losses = 0;
 
-            if (dataSource === 'merged') {
-                // 両方を合算：正順と逆順の勝敗を別々にカウント
-                // 正順データ
-                if (TableViewer.resultsAsc[index]) {
-                    TableViewer.resultsAsc[index].forEach((result, j) => {
-                        if (index === j) return;
-                        if (result === 1) wins++;
-                        else if (result === 2) losses++;
-                        else if (result === 3) draws++;
-                    });
-                }
-                // 逆順データ
-                if (TableViewer.resultsDesc[index]) {
-                    TableViewer.resultsDesc[index].forEach((result, j) => {
-                        if (index === j) return;
-                        if (result === 1) wins++;
-                        else if (result === 2) losses++;
-                        else if (result === 3) draws++;
-                    });
-                }
-            } else {
-                // 正順または逆順のみ
-                if (results[index]) {
-                    results[index].forEach((result, j) => {
-                        if (index === j) return;
-                        if (result === 1) wins++;
-                        else if (result === 2) losses++;
-                        else if (result === 3) draws++;
-                    });
-                }
-            }
+            sources.forEach(results => {
+                if (!results[index]) return;
+                results[index].forEach((result, j) => {
+                    if (index === j) return;
+                    if (result === 1) wins++;
+                    else if (result === 2) losses++;
+                    else if (result === 3) draws++;
+                });
+            });
 
+            const { winPt, drawPt, losePt } = pointSettings;
             const points = wins * winPt + draws * drawPt + losses * losePt;
             const played = wins + draws + losses;
             const winRate = played > 0 ? (wins / played * 100).toFixed(1) : 0;
@@ -165,15 +151,6 @@ const ResultCalc = {
                 winRate
             };
         });
-
-        console.log('Standings:', this.standings);
-
-        // 順位付け
-        this.sortStandings();
-
-        // 表示更新
-        this.renderStandings();
-        this.renderResultText();
     },
 
     /**
@@ -275,7 +252,7 @@ const ResultCalc = {
 
             html += `<tr draggable="true" data-index="${idx}">`;
             html += `<td>${rankIcon} ${s.rank}位</td>`;
-            html += `<td style="text-align: left;">${s.team.name}</td>`;
+            html += `<td style="text-align: left;">${CHEBitmap.teamIconHtml(s.team)}${s.team.name}</td>`;
             html += `<td>${s.played}</td>`;
             html += `<td>${s.wins}</td>`;
             html += `<td>${s.draws}</td>`;
@@ -407,6 +384,17 @@ const ResultCalc = {
         }
 
         const dataSource = document.getElementById('data-source')?.value || 'asc';
+        container.textContent = this.buildResultText(dataSource, TableViewer.resultsAsc, TableViewer.resultsDesc);
+    },
+
+    /**
+     * 結果テキスト（対戦マトリクス・チーム一覧・順位表）を組み立てる
+     * @param {string} dataSource - 'asc' | 'desc' | 'merged'
+     * @param {Array} resultsAsc - 正順データ
+     * @param {Array} resultsDesc - 逆順データ
+     * @returns {string}
+     */
+    buildResultText: function (dataSource, resultsAsc, resultsDesc) {
         const sourceLabel = dataSource === 'asc' ? '正順データ' : dataSource === 'desc' ? '逆順データ' : '両方を合算';
 
         let text = '';
@@ -414,14 +402,14 @@ const ResultCalc = {
         // 両方を合算の場合は、正順と逆順の両方のマトリクスを出力
         if (dataSource === 'merged') {
             // 正順マトリクス
-            text += this.generateMatrixText('正順データ', TableViewer.resultsAsc);
+            text += this.generateMatrixText('正順データ', resultsAsc);
             text += '\n';
             // 逆順マトリクス
-            text += this.generateMatrixText('逆順データ', TableViewer.resultsDesc);
+            text += this.generateMatrixText('逆順データ', resultsDesc);
             text += '\n';
         } else {
             // 単一のマトリクス
-            const results = dataSource === 'asc' ? TableViewer.resultsAsc : TableViewer.resultsDesc;
+            const results = dataSource === 'asc' ? resultsAsc : resultsDesc;
             text += this.generateMatrixText(sourceLabel, results);
             text += '\n';
         }
@@ -471,7 +459,7 @@ const ResultCalc = {
 
         text += '==ここまで==\n';
 
-        container.textContent = text;
+        return text;
     },
 
     /**
@@ -7,12 +7,15 @@ const TableViewer = {
     teams: [],
     resultsAsc: [],  // 正順用データ
     resultsDesc: [], // 逆順用データ
+    pairFlags: null, // 対戦可能ペア（null: 対戦方式から自動生成）。ファイルには保存しない
+    pairFlagsEdited: false, // 対戦可能ペアを勝敗表タブで編集したか
 
     /**
      * 初期化
      */
     init: function () {
-        // 初期化処理（イベントリスナーなど）
+        document.getElementById('pair-same-owner').addEventListener('click', () => this.disableSameOwnerPairs());
+        document.getElementById('pair-from-mode').addEventListener('click', () => this.resetPairFlags());
     },
 
     /**
@@ -27,6 +30,8 @@ const TableViewer = {
         // 両方のデータセットに同じ結果をコピー
         this.resultsAsc = JSON.parse(JSON.stringify(data.results));
         this.resultsDesc = JSON.parse(JSON.stringify(data.results));
+        this.pairFlags = null;
+        this.pairFlagsEdited = false;
 
         this.renderMatchInfo();
         this.renderAllTables();
@@ -36,6 +41,10 @@ const TableViewer = {
      * チームデータから勝敗表を生成
      */
     setTeamsForManualInput: function (teams) {
+        const prevTeams = this.teams || [];
+        const prevAsc = this.resultsAsc;
+        const prevDesc = this.resultsDesc;
+        const prevFlags = this.pairFlags;
         this.teams = teams;
 
         // 両方のデータセットを初期化
@@ -46,6 +55,30 @@ const TableViewer = {
             this.resultsDesc.push(new Array(teams.length).fill(0));
         });
 
+        // 並べ替え・追加前から残っているチーム同士の結果は引き継ぐ
+        // （読み込んだmatch.CHEの勝敗を出力チームに反映するため）
+        const prevIndex = teams.map(team => prevTeams.findIndex(p => p.globalIndex === team.globalIndex));
+        teams.forEach((_, i) => {
+            teams.forEach((__, j) => {
+                const pi = prevIndex[i], pj = prevIndex[j];
+                if (i === j || pi === -1 || pj === -1) return;
+                this.resultsAsc[i][j] = (prevAsc[pi] && prevAsc[pi][pj]) || 0;
+                this.resultsDesc[i][j] = (prevDesc[pi] && prevDesc[pi][pj]) || 0;
+            });
+        });
+
+        // 編集した対戦可能ペアも同様に引き継ぐ（新しく加わったペアは有効）
+        if (!this.pairFlagsEdited) {
+            this.pairFlags = null;
+        } else if (prevFlags) {
+            this.pairFlags = teams.map((_, i) => teams.map((__, j) => {
+                if (i === j) return false;
+                const pi = prevIndex[i], pj = prevIndex[j];
+                if (pi === -1 || pj === -1 || !prevFlags[pi]) return true;
+                return prevFlags[pi][pj] !== false;
+            }));
+        }
+
         this.renderMatchInfo();
         this.renderAllTables();
     },
@@ -56,6 +89,7 @@ const TableViewer = {
     renderAllTables: function () {
         this.renderTable('table-container', false); // 対戦表（正順）
         this.renderTable('table-container-reverse', true); // 対戦表（逆順）
+        this.renderPairTable(); // 対戦可能ペア
         this.renderResultTable('result-table-container', false); // 集計結果（正順）
         this.renderResultTable('result-table-container-reverse', true); // 集計結果（逆順）
     },
@@ -74,6 +108,7 @@ const TableViewer = {
                     <span>チーム数: ${this.teams.length}</span>
                     <span>バージョン: ${h.version || '-'}</span>
                 </div>
+                ${this.renderSettingsMeta(this.matchData.settings)}
             `;
         } else {
             container.innerHTML = `
@@ -85,6 +120,27 @@ const TableViewer = {
         }
     },
 
+    /**
+     * 対戦設定の表示HTMLを生成
+     * @param {Object} settings - CHEParser.parseMatchSettingsの戻り値
+     */
+    renderSettingsMeta: function (settings) {
+        if (!settings) return '';
+
+        const fieldName = CHEParser.FIELD_NAMES[settings.field] || '不明';
+        const modeName = CHEParser.MODE_NAMES[settings.mode] || '不明';
+
+        return `
+                <div class="meta">
+                    <span>タイムリミット: ${settings.timeLimit}秒</span>
+                    <span>フィールド: ${fieldName} (${settings.field})</span>
+                    <span>対戦方式: ${modeName} (${settings.mode})</span>
+                    <span>0x48/0x4C: ${settings.floatParam1} / ${settings.floatParam2}</span>
+                    <span>フラグ: ${settings.flags.join(' ')}</span>
+                </div>
+        `;
+    },
+
     /**
      * テーブルを描画
      * @param {string} containerId - コンテナID
@@ -120,7 +176,9 @@ const TableViewer = {
             const th = document.createElement('th');
             th.className = 'team-header';
 
-            // チーム名
+            // チームアイコン・チーム名
+            const icon = CHEBitmap.createTeamIcon(team);
+            if (icon) th.appendChild(icon);
             const nameDiv = document.createElement('div');
             nameDiv.className = 'vertical-text';
             nameDiv.textContent = team.name.substring(0, 6);
@@ -144,6 +202,8 @@ const TableViewer = {
             const th = document.createElement('th');
             th.className = 'row-header';
             th.textContent = rowTeam.name;
+            const rowIcon = CHEBitmap.createTeamIcon(rowTeam);
+            if (rowIcon) th.prepend(rowIcon);
             th.style.borderLeft = `5px solid rgb(${rowTeam.primaryColor.r}, ${rowTeam.primaryColor.g}, ${rowTeam.primaryColor.b})`;
             tr.appendChild(th);
 
@@ -249,6 +309,145 @@ const TableViewer = {
         return this.resultsAsc;
     },
 
+    /**
+     * 現在の対戦方式（チーム編集タブの保存バーの設定）を取得
+     */
+    getCurrentMode: function () {
+        const select = document.getElementById('setting-mode');
+        return select ? parseInt(select.value) : CHEParser.MODE_LEAGUE;
+    },
+
+    /**
+     * 対戦可能ペアを取得（未編集なら対戦方式から生成した値）
+     * @returns {Array} 2次元配列 pairFlags[i][j]
+     */
+    getPairFlags: function () {
+        return this.pairFlags || CHEParser.buildPairFlags(this.teams.length, this.getCurrentMode());
+    },
+
+    /**
+     * 対戦可能ペアの表を描画
+     */
+    renderPairTable: function () {
+        const container = document.getElementById('pair-flag-container');
+        const status = document.getElementById('pair-flag-status');
+        if (!container) return;
+
+        container.innerHTML = '';
+        status.textContent = '';
+
+        if (!this.teams || this.teams.length === 0) return;
+
+        const flags = this.getPairFlags();
+        let enabledPairs = 0;
+
+        const table = document.createElement('table');
+        table.className = 'match-table';
+
+        // ヘッダー行
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th')); // 左上の空白
+        this.teams.forEach(team => {
+            const th = document.createElement('th');
+            th.className = 'team-header';
+
+            const icon = CHEBitmap.createTeamIcon(team);
+            if (icon) th.appendChild(icon);
+            const nameDiv = document.createElement('div');
+            nameDiv.className = 'vertical-text';
+            nameDiv.textContent = team.name.substring(0, 6);
+            th.appendChild(nameDiv);
+
+            th.style.borderBottom = `3px solid rgb(${team.primaryColor.r}, ${team.primaryColor.g}, ${team.primaryColor.b})`;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        // ボディ
+        const tbody = document.createElement('tbody');
+        this.teams.forEach((rowTeam, row) => {
+            const tr = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.className = 'row-header';
+            th.textContent = rowTeam.name;
+            const rowIcon = CHEBitmap.createTeamIcon(rowTeam);
+            if (rowIcon) th.prepend(rowIcon);
+            th.style.borderLeft = `5px solid rgb(${rowTeam.primaryColor.r}, ${rowTeam.primaryColor.g}, ${rowTeam.primaryColor.b})`;
+            tr.appendChild(th);
+
+            this.teams.forEach((_, col) => {
+                const td = document.createElement('td');
+
+                if (row === col) {
+                    td.className = 'diagonal';
+                } else {
+                    const enabled = flags[row] && flags[row][col];
+                    td.className = 'result-cell ' + (enabled ? 'pair-enabled' : 'pair-disabled');
+                    td.textContent = enabled ? '●' : '－';
+                    td.onclick = () => this.handlePairClick(row, col);
+                    if (enabled && row < col) enabledPairs++;
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        // 0x074- の対戦マトリクスとペアの対応が未確認のため、ここでの設定はファイルに保存しない
+        const source = this.pairFlagsEdited ? '手動設定' : '対戦方式から自動生成';
+        status.textContent = `${source} / 有効ペア: ${enabledPairs}（ファイルには保存されません）`;
+    },
+
+    /**
+     * 対戦可能ペアのセルクリック時の処理（対称に切り替え）
+     */
+    handlePairClick: function (row, col) {
+        if (row === col) return;
+
+        this.pairFlags = this.getPairFlags();
+        this.pairFlagsEdited = true;
+        const next = !this.pairFlags[row][col];
+        this.pairFlags[row][col] = next;
+        this.pairFlags[col][row] = next;
+
+        this.renderPairTable();
+    },
+
+    /**
+     * 同じオーナー同士のペアを無効化
+     */
+    disableSameOwnerPairs: function () {
+        if (!this.teams || this.teams.length === 0) return;
+
+        this.pairFlags = this.getPairFlags();
+        this.pairFlagsEdited = true;
+        let disabled = 0;
+        this.teams.forEach((a, i) => {
+            this.teams.forEach((b, j) => {
+                if (i >= j || !a.owner || a.owner !== b.owner) return;
+                if (this.pairFlags[i][j]) disabled++;
+                this.pairFlags[i][j] = false;
+                this.pairFlags[j][i] = false;
+            });
+        });
+
+        this.renderPairTable();
+        App.showToast(`同一オーナーの対戦を${disabled}件無効化しました`, 'success');
+    },
+
+    /**
+     * 対戦可能ペアを対戦方式からの自動生成に戻す
+     */
+    resetPairFlags: function () {
+        this.pairFlags = null;
+        this.pairFlagsEdited = false;
+        this.renderPairTable();
+    },
+
     /**
      * 勝敗表（集計結果）を描画
      * @param {string} containerId - コンテナID
@@ -290,7 +489,7 @@ const TableViewer = {
             html += `<td>${String(i + 1).padStart(2, '0')}</td>`;
             html += `<td style="text-align: left;">
                 <span class="team-color" style="display: inline-block; width: 12px; height: 12px; background: rgb(${team.primaryColor.r}, ${team.primaryColor.g}, ${team.primaryColor.b}); border-radius: 2px; margin-right: 4px; vertical-align: middle;"></span>
-                ${team.name}
+                ${CHEBitmap.teamIconHtml(team)}${team.name}
             </td>`;
 
             // 対戦結果
@@ -409,6 +608,8 @@ const TableViewer = {
         this.matchData = null;
         this.teams = [];
         this.results = [];
+        this.pairFlags = null;
+        this.pairFlagsEdited = false;
         document.getElementById('match-info').innerHTML = '';
         document.getElementById('result-table-container').innerHTML = '';
         document.getElementById('team-detail').classList.add('hidden');
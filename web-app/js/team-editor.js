@@ -8,13 +8,21 @@ const TeamEditor = {
     selectedSource: [],   // 選択中のソースチーム
     selectedOutput: [],   // 選択中の出力チーム
     rawBuffers: [],       // 元ファイルのバッファ
+    previewTeam: null,    // OKEプレビュー表示中のチーム
+    expandedRosters: [],  // OKEロスターを展開中のチーム (globalIndex)
 
     /**
      * 初期化
      */
     init: async function () {
-        await CHEParser.loadTemplate();
+        this.renderSettingFlags();
         this.bindEvents();
+        await CHEParser.loadTemplate();
+
+        // テンプレートを読み込めなかった（file://で開いた等）場合はテンプレートなしで生成する
+        this.renderBaseOptions();
+        document.getElementById('save-base').value = CHEParser.templateData ? 'bundled' : 'blank';
+        this.onBaseChange();
     },
 
     /**
@@ -30,18 +38,39 @@ const TeamEditor = {
         // コントロールボタン
         document.getElementById('select-all').addEventListener('click', () => this.selectAll());
         document.getElementById('shuffle-btn').addEventListener('click', () => this.shuffle());
+        document.getElementById('export-team').addEventListener('click', () => this.exportSelectedTeams());
         document.getElementById('clear-output').addEventListener('click', () => this.clearOutput());
         document.getElementById('reverse-btn').addEventListener('click', () => this.reverseOutput());
         document.getElementById('clear-all').addEventListener('click', () => this.clearAll());
 
         // 保存ボタン
         document.getElementById('save-che').addEventListener('click', () => this.saveCHE());
+
+        // マッチデータの土台（テンプレート）
+        document.getElementById('save-base').addEventListener('change', () => this.onBaseChange());
+        document.getElementById('save-base-store').addEventListener('click', () => this.storeBaseTemplate());
+        document.getElementById('save-base-remove').addEventListener('click', () => this.removeBaseTemplate());
+
+        // 大会名のバイト数表示
+        document.getElementById('tournament-name').addEventListener('input', () => this.updateTournamentNameHint());
+        this.updateTournamentNameHint();
+
+        // 対戦方式の変更でマッチ数表示を更新
+        document.getElementById('setting-mode').addEventListener('change', () => {
+            this.updateMatchCountHint();
+            if (window.TableViewer) {
+                TableViewer.renderPairTable();
+            }
+        });
     },
 
     /**
      * チームデータを追加
+     * @param {Object} data - CHEParser.parseの戻り値
+     * @param {string} filename - ファイル名
+     * @param {number} fileIndex - App.loadedFilesのインデックス（同名ファイルを区別するため）
      */
-    addTeamsFromFile: function (data, filename) {
+    addTeamsFromFile: function (data, filename, fileIndex) {
         console.log('addTeamsFromFile:', data, filename);
         if (!data || !data.teams) return;
 
@@ -51,9 +80,15 @@ const TeamEditor = {
             const tName = data.header.tournamentName.replace(/\0/g, '').trim();
             if (tName) {
                 document.getElementById('tournament-name').value = tName;
+                this.updateTournamentNameHint();
             }
         }
 
+        // 対戦設定があれば反映
+        if (data.settings) {
+            this.setMatchSettings(data.settings);
+        }
+
         // 元ファイルのバッファを保存
         this.rawBuffers.push({
             filename: filename,
@@ -62,14 +97,8 @@ const TeamEditor = {
 
         data.teams.forEach((team, index) => {
             team.sourceFile = filename;
+            team.sourceFileIndex = fileIndex;
             team.globalIndex = this.sourceTeams.length;
-
-            // team.CHE (CETD) の場合のみ、全体バッファをチームデータとして保持
-            // match.CHE (CEMD) の場合は個別バッファを持たず、プロパティから再生成させる
-            if (data.type === 'team') {
-                team.rawBuffer = data.raw;
-            }
-
             this.sourceTeams.push(team);
         });
         console.log('Source teams count:', this.sourceTeams.length);
@@ -90,6 +119,14 @@ const TeamEditor = {
             li.className = this.selectedSource.includes(index) ? 'selected' : '';
             li.draggable = true; // ドラッグ可能に
 
+            // OKEロスターの開閉ボタン
+            const roster = this.createOkeRoster(team);
+            li.appendChild(this.createRosterToggle(team, roster));
+
+            // チームアイコン
+            const icon = CHEBitmap.createTeamIcon(team);
+            if (icon) li.appendChild(icon);
+
             // チーム名
             const nameSpan = document.createElement('span');
             nameSpan.className = 'team-name';
@@ -101,8 +138,15 @@ const TeamEditor = {
             ownerSpan.className = 'team-owner';
             ownerSpan.textContent = team.owner;
             li.appendChild(ownerSpan);
-
-            li.addEventListener('click', (e) => this.toggleSourceSelection(index, e.ctrlKey || e.metaKey));
+            li.appendChild(roster);
+
+            li.addEventListener('click', (e) => {
+                this.toggleSourceSelection(index, e.ctrlKey || e.metaKey);
+                this.showOkePreview(team);
+                HexInspector.focusTeam(team);
+            });
+            // ダブルクリックでバイナリタブのスロット位置を開く
+            li.addEventListener('dblclick', () => App.switchTab('hex-inspector'));
             list.appendChild(li);
         });
 
@@ -123,6 +167,14 @@ const TeamEditor = {
             li.className = this.selectedOutput.includes(index) ? 'selected' : '';
             li.draggable = true; // ドラッグ可能に
 
+            // OKEロスターの開閉ボタン
+            const roster = this.createOkeRoster(team);
+            li.appendChild(this.createRosterToggle(team, roster));
+
+            // チームアイコン
+            const icon = CHEBitmap.createTeamIcon(team);
+            if (icon) li.appendChild(icon);
+
             // チーム名
             const nameSpan = document.createElement('span');
             nameSpan.className = 'team-name';
@@ -134,8 +186,15 @@ const TeamEditor = {
             ownerSpan.className = 'team-owner';
             ownerSpan.textContent = team.owner;
             li.appendChild(ownerSpan);
-
-            li.addEventListener('click', (e) => this.toggleOutputSelection(index, e.ctrlKey || e.metaKey));
+            li.appendChild(roster);
+
+            li.addEventListener('click', (e) => {
+                this.toggleOutputSelection(index, e.ctrlKey || e.metaKey);
+                this.showOkePreview(team);
+                HexInspector.focusTeam(team);
+            });
+            // ダブルクリックでバイナリタブのスロット位置を開く
+            li.addEventListener('dblclick', () => App.switchTab('hex-inspector'));
             list.appendChild(li);
         });
 
@@ -149,6 +208,8 @@ const TeamEditor = {
 
         // カウント更新
         document.getElementById('team-count').textContent = `(${this.outputTeams.length}/16)`;
+        this.updateMatchCountHint();
+        this.updateOkeCapacity();
 
         // 保存ボタン状態更新
         const saveBtn = document.getElementById('save-che');
@@ -301,6 +362,122 @@ const TeamEditor = {
         this.renderOutputList();
     },
 
+    /**
+     * OKEロスター（OKE1-3の名前・ブロック番号・同じブロックを使う他チーム）を作る
+     * @param {Object} team - チーム
+     * @returns {HTMLElement}
+     */
+    createOkeRoster: function (team) {
+        const ul = document.createElement('ul');
+        ul.className = 'oke-roster';
+        ul.classList.toggle('hidden', !this.expandedRosters.includes(team.globalIndex));
+
+        (team.okes || []).forEach(oke => {
+            const item = document.createElement('li');
+            let text = `OKE${oke.okeNum + 1}: ${oke.name || '(名前なし)'}`;
+            if (oke.blockIndex !== null) {
+                text += ` [Block ${oke.blockIndex}]`;
+            }
+            if (oke.sharedWith.length > 0) {
+                text += ` ← 共有: ${oke.sharedWith.join(', ')}`;
+                item.className = 'shared';
+            }
+            item.textContent = text;
+            ul.appendChild(item);
+        });
+
+        return ul;
+    },
+
+    /**
+     * OKEロスターの開閉ボタンを作る（クリックしてもチームは選択しない）
+     */
+    createRosterToggle: function (team, roster) {
+        const toggle = document.createElement('button');
+        toggle.className = 'roster-toggle';
+        toggle.title = 'OKE一覧';
+        toggle.textContent = roster.classList.contains('hidden') ? '▸' : '▾';
+
+        toggle.addEventListener('dblclick', (e) => e.stopPropagation());
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const pos = this.expandedRosters.indexOf(team.globalIndex);
+            if (pos === -1) {
+                this.expandedRosters.push(team.globalIndex);
+            } else {
+                this.expandedRosters.splice(pos, 1);
+            }
+            roster.classList.toggle('hidden', pos !== -1);
+            toggle.textContent = pos !== -1 ? '▸' : '▾';
+        });
+
+        return toggle;
+    },
+
+    /**
+     * OKEプレビューを表示
+     * @param {Object} team - 表示するチーム
+     */
+    showOkePreview: function (team) {
+        const container = document.getElementById('oke-preview');
+        const widthInput = document.getElementById('oke-preview-width');
+        const blockWidth = widthInput ? parseInt(widthInput.value) || CHEBitmap.BLOCK_BITMAP_WIDTH : CHEBitmap.BLOCK_BITMAP_WIDTH;
+        const okes = CHEBitmap.decodeOkeImages(team, blockWidth);
+
+        this.previewTeam = team;
+        container.classList.remove('hidden');
+        container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'oke-preview-header';
+        header.innerHTML = `
+            <h3></h3>
+            <label>ブロック画像の横幅: <input type="number" id="oke-preview-width" min="8" max="512" step="8" value="${blockWidth}"></label>
+        `;
+        header.querySelector('h3').textContent = `${team.name} のOKE`;
+        header.querySelector('input').addEventListener('change', () => this.showOkePreview(this.previewTeam));
+        container.appendChild(header);
+
+        if (!team.isMatchDerived) {
+            const note = document.createElement('p');
+            note.className = 'placeholder';
+            note.textContent = 'team.CHEには外見データがないため、名前とパレットのみ表示します';
+            container.appendChild(note);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'oke-preview-list';
+        okes.forEach(oke => {
+            const card = document.createElement('div');
+            card.className = 'oke-preview-card';
+
+            const title = document.createElement('div');
+            title.className = 'oke-preview-title';
+            title.textContent = `OKE${oke.okeNum + 1}: ${oke.name || '(名前なし)'}` +
+                (oke.blockIndex !== null ? ` [Block ${oke.blockIndex}]` : '');
+            card.appendChild(title);
+
+            [oke.thumb, oke.bitmap].forEach(image => {
+                if (!image) return;
+                const canvas = CHEBitmap.toCanvas(image);
+                canvas.className = 'oke-preview-image';
+                card.appendChild(canvas);
+            });
+
+            const palette = document.createElement('div');
+            palette.className = 'palette-swatches';
+            oke.colors.forEach(c => {
+                const swatch = document.createElement('span');
+                swatch.style.backgroundColor = `rgb(${c.r}, ${c.g}, ${c.b})`;
+                palette.appendChild(swatch);
+            });
+            card.appendChild(palette);
+
+            list.appendChild(card);
+        });
+        container.appendChild(list);
+    },
+
     /**
      * 全てクリア（ソースと出力両方）
      */
@@ -310,12 +487,19 @@ const TeamEditor = {
         this.selectedSource = [];
         this.selectedOutput = [];
         this.rawBuffers = [];
+        this.previewTeam = null;
+        this.expandedRosters = [];
+        document.getElementById('oke-preview').classList.add('hidden');
+        document.getElementById('export-report').classList.add('hidden');
         this.renderSourceList();
         this.renderOutputList();
 
         // ファイルリストも非表示に
+        App.loadedFiles = [];
         document.getElementById('file-list').classList.add('hidden');
         document.getElementById('loaded-files').innerHTML = '';
+        HexInspector.reset();
+        this.renderBaseOptions();
 
         App.showToast('全てクリアしました', 'success');
     },
@@ -334,42 +518,509 @@ const TeamEditor = {
         // 大会名を取得
         const tournamentName = document.getElementById('tournament-name').value || '新規大会';
 
-        // チームデータ連結形式の場合は rawBuffer が必須
-        // マッチデータ形式の場合は再生成可能なのでチェックを緩和
-        if (format === 'team') {
-            const teamsWithBuffer = this.outputTeams.filter(t => t.rawBuffer);
-            if (teamsWithBuffer.length !== this.outputTeams.length) {
-                App.showToast('マッチデータ由来のチームはチーム連結形式で保存できません', 'error');
-                return;
-            }
+        // チーム名・オーナー名（大会名は下のマッチデータ形式で検査）
+        const teamNameError = CHENames.checkTeamNames(this.outputTeams);
+        if (teamNameError) {
+            App.showToast(teamNameError, 'error');
+            return;
+        }
+
+        // チームデータ形式（連結/ZIP）は元ファイルのデータ (rawBuffer) が必須
+        // マッチデータ由来のチームはスロットからteam.CHEを組み立てる
+        if (format !== 'match' && this.outputTeams.some(t => !t.rawBuffer)) {
+            App.showToast('元ファイルのデータがないチームはチームデータ形式で保存できません', 'error');
+            return;
         }
 
         try {
-            let buffer;
+            let doc;
+            let base;
 
             // ファイル名を取得
             let filename = document.getElementById('output-filename').value.trim() || 'output';
-            // 拡張子を除去して.CHEを付ける
-            filename = filename.replace(/\.che$/i, '') + '.CHE';
+            // 拡張子を除去して.CHE（ZIPは.zip）を付ける
+            filename = filename.replace(/\.(che|zip)$/i, '') + (format === 'zip' ? '.zip' : '.CHE');
 
             if (format === 'match') {
                 // マッチデータ形式（CEMD）
-                buffer = CHEParser.generateMatchFile(this.outputTeams, tournamentName);
+                // 大会名は文字の途中で切れたり ? に化けたりしないものだけ保存する
+                const nameError = CHENames.checkName(tournamentName);
+                if (nameError) {
+                    App.showToast(`大会名: ${nameError}`, 'error');
+                    return;
+                }
+
+                // OKEブロックが足りないと一部のチームが別のOKEを参照したファイルになるため保存しない
+                const capacity = this.getOkeCapacity();
+                if (capacity.over) {
+                    App.showToast(`OKEブロックが不足しています (${capacity.used}/${capacity.max}): ${capacity.suggestions[0]}`, 'error');
+                    return;
+                }
+
+                base = this.getSaveBase();
+                const options = this.getSaveBaseOptions(base);
+                const resultsSource = document.getElementById('save-results').value;
+                if (resultsSource !== 'none') {
+                    // 勝敗データ領域の形式は未検証のため、実機で読めないファイルになり得ることを確認してから書き込む
+                    const confirmed = window.confirm(
+                        '【実験的】勝敗データ領域の形式は実ファイルで確認できていません。\n' +
+                        '書き込んだファイルは実機で正しく読めない可能性があります。勝敗データを書き込みますか？'
+                    );
+                    if (!confirmed) {
+                        App.showToast('保存を中止しました', 'info');
+                        return;
+                    }
+                    options.results = this.getResultsForSave(resultsSource);
+                }
+                options.settings = this.getMatchSettings();
+                options.matchCount = this.getMatchCountInput();
+                doc = CHEParser.buildMatchDocument(this.outputTeams, tournamentName, options);
             } else {
-                // チームデータ連結形式
-                buffer = CHEParser.generateTeamFile(this.outputTeams);
+                // チームデータ形式: 1チーム1レコードのteam.CHE
+                doc = CHEParser.buildTeamDocument(this.outputTeams);
             }
 
             // ダウンロード（file://プロトコル対応）
+            // チームデータ個別形式は1チーム1ファイルのteam.CHEをZIPにまとめる
+            const buffer = format === 'zip' ? this.buildTeamZip(this.outputTeams, doc) : doc.serialize();
             this.downloadFile(buffer, filename);
 
-            App.showToast(`${this.outputTeams.length}チームを保存しました (${filename})`, 'success');
+            let message = `${this.outputTeams.length}チームを保存しました (${filename})`;
+            if (format === 'match') {
+                message += `。ベース: ${base ? base.name : 'テンプレートなし'}`;
+            }
+            if (format !== 'match' && this.outputTeams.some(t => t.isMatchDerived)) {
+                message += '。マッチデータ由来のチームにはAIプログラムが含まれません';
+            }
+            App.showToast(message, 'success');
         } catch (e) {
             console.error('Save error:', e);
             App.showToast('保存中にエラーが発生しました: ' + e.message, 'error');
         }
     },
 
+    /**
+     * 各チームのteam.CHEを「<チーム名>.CHE」として格納したZIPを作る
+     * マッチデータ由来のチームはスロットからteam.CHEを組み立てる（AIプログラムは含まれない）
+     * @param {Array} teams - 出力チーム
+     * @param {CHEDocument} [doc] - teamsから組み立て済みのチームデータ（省略時は組み立てる）
+     * @returns {ArrayBuffer} ZIPファイルデータ
+     */
+    buildTeamZip: function (teams, doc = CHEParser.buildTeamDocument(teams)) {
+        const filenames = CHENames.getTeamFilenames(teams);
+        const entries = teams.map((team, i) => ({
+            name: filenames[i],
+            data: doc.record(i).bytes
+        }));
+        return Zip.create(entries);
+    },
+
+    /**
+     * 選択中のマッチデータ由来チームをteam.CHEとして書き出す
+     * 復元できなかった領域は書き出し結果パネルに一覧表示する
+     */
+    exportSelectedTeams: function () {
+        const teams = this.selectedSource.map(i => this.sourceTeams[i]).filter(t => t && t.isMatchDerived);
+        if (teams.length === 0) {
+            App.showToast('マッチデータ由来のチームを選択してください', 'error');
+            return;
+        }
+
+        const report = document.getElementById('export-report');
+        report.innerHTML = '<h3>team.CHE書き出し: 復元できなかった領域</h3>';
+        report.classList.remove('hidden');
+
+        const filenames = CHENames.getTeamFilenames(teams);
+        let exported = 0;
+        teams.forEach((team, i) => {
+            try {
+                const result = CHEParser.extractTeamFile(team);
+                const filename = filenames[i];
+                this.downloadFile(result.buffer, filename);
+
+                const details = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = `${filename}（${result.missing.length}領域）`;
+                details.appendChild(summary);
+
+                const ul = document.createElement('ul');
+                result.missing.forEach(m => {
+                    const li = document.createElement('li');
+                    li.textContent = `0x${m.offset.toString(16).toUpperCase().padStart(4, '0')} (${m.size}B) ${m.message}`;
+                    ul.appendChild(li);
+                });
+                details.appendChild(ul);
+                report.appendChild(details);
+                exported++;
+            } catch (e) {
+                console.error('Export error:', e);
+                App.showToast(`${team.name} の書き出しに失敗しました: ${e.message}`, 'error');
+            }
+        });
+
+        if (exported > 0) {
+            App.showToast(`${exported}チームをteam.CHEとして書き出しました（AIプログラムは含まれません）`, 'success');
+        }
+    },
+
+    /**
+     * 対戦設定のフラグ1-6のチェックボックスを生成
+     */
+    renderSettingFlags: function () {
+        const container = document.getElementById('setting-flags');
+        for (let i = 0; i < 6; i++) {
+            const label = document.createElement('label');
+            label.className = 'flag-toggle';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `setting-flag-${i}`;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(String(i + 1)));
+
+            container.appendChild(label);
+        }
+    },
+
+    /**
+     * 対戦設定を保存バーの入力欄に反映
+     * @param {Object} settings - CHEParser.parseMatchSettingsの戻り値
+     */
+    setMatchSettings: function (settings) {
+        document.getElementById('setting-time-limit').value = settings.timeLimit;
+        document.getElementById('setting-float1').value = settings.floatParam1;
+        document.getElementById('setting-float2').value = settings.floatParam2;
+        this.setSelectValue(document.getElementById('setting-field'), settings.field);
+        this.setSelectValue(document.getElementById('setting-mode'), settings.mode);
+        this.updateMatchCountHint();
+        settings.flags.forEach((flag, i) => {
+            document.getElementById(`setting-flag-${i}`).checked = flag !== 0;
+        });
+    },
+
+    /**
+     * 出力チーム数と対戦方式から、マッチ数欄が空の時に書き込まれる値を表示
+     * 観測値のない組み合わせは推定値を書かず、入力を求める
+     */
+    updateMatchCountHint: function () {
+        const input = document.getElementById('setting-match-count');
+        const hint = document.getElementById('setting-match-count-hint');
+        const teamCount = Math.min(this.outputTeams.length, 16);
+        if (teamCount < 2) {
+            input.placeholder = '';
+            hint.textContent = '';
+            hint.classList.remove('match-count-required');
+            return;
+        }
+
+        const mode = parseInt(document.getElementById('setting-mode').value);
+        const suggestion = CHEParser.getMatchCount(teamCount, mode);
+        const observed = CHEParser.isMatchCountObserved(teamCount, mode);
+        input.placeholder = String(suggestion);
+        input.max = (teamCount * (teamCount - 1)) / 2;
+        hint.textContent = observed
+            ? '空欄なら実ファイルの観測値'
+            : `${teamCount}チームのこの方式は観測値がありません。入力してください（推定値: ${suggestion}）`;
+        hint.classList.toggle('match-count-required', !observed);
+    },
+
+    /**
+     * マッチ数欄の値
+     * @returns {number|undefined} 空欄ならundefined（観測値を使う）
+     */
+    getMatchCountInput: function () {
+        const value = document.getElementById('setting-match-count').value.trim();
+        return value === '' ? undefined : Number(value);
+    },
+
+    /**
+     * 大会名のShift-JISバイト数と問題点を表示
+     */
+    updateTournamentNameHint: function () {
+        const input = document.getElementById('tournament-name');
+        const hint = document.getElementById('tournament-name-bytes');
+        const name = input.value || '新規大会';
+        const error = CHENames.checkName(name);
+
+        const byteLength = Encoding.checkSJIS(name, CHEParser.NAME_MAX_BYTES).byteLength;
+        hint.textContent = `${byteLength}/${CHEParser.NAME_MAX_BYTES}バイト` + (error ? ` (${error})` : '');
+        hint.classList.toggle('name-error', !!error);
+        input.classList.toggle('name-error', !!error);
+    },
+
+    /**
+     * 出力チームに必要なOKEブロック数と、上限を超えた時の対処案
+     * @returns {Object} { used, max, over, suggestions: [文字列] }
+     */
+    getOkeCapacity: function () {
+        const teams = this.outputTeams.slice(0, 16);
+        // 保存時と同じベースで数える（ベースによってteam.CHEのOKE変換結果が変わる）
+        const plan = CHEParser.planMatchOkeBlocks(teams, this.getSaveBaseOptions());
+        const max = CHEParser.MAX_OKE_BLOCKS;
+        const used = plan.blocks.length;
+        const suggestions = [];
+
+        if (used > max) {
+            const excess = used - max;
+
+            // チームごとに、そのチームだけが使っているブロック数（外した時に空く数）
+            const freed = plan.remaps.map((remap, i) => {
+                const own = new Set(Object.values(remap));
+                plan.remaps.forEach((other, j) => {
+                    if (j !== i) Object.values(other).forEach(b => own.delete(b));
+                });
+                return { team: teams[i], count: own.size };
+            }).filter(f => f.count > 0).sort((a, b) => b.count - a.count);
+
+            const single = freed.find(f => f.count >= excess);
+            if (freed.length === 0) {
+                // どのブロックも2チーム以上が参照している: 1チームだけ外しても空かない
+                suggestions.push('どのチームのOKEブロックも他のチームと共有されているため、1チームだけ外してもブロックは空きません。同じOKEを使うチームをまとめて外してください');
+            } else if (single) {
+                suggestions.push(`「${single.team.name}」を外すと${single.count}ブロック空きます`);
+            } else {
+                let total = 0;
+                const names = [];
+                for (const f of freed) {
+                    names.push(`「${f.team.name}」`);
+                    total += f.count;
+                    if (total >= excess) break;
+                }
+                suggestions.push(total >= excess
+                    ? `${names.join('')}を外すと${total}ブロック空きます`
+                    : `${names.join('')}を外しても${total}ブロックしか空きません（あと${excess - total}ブロック必要）`);
+            }
+            suggestions.push('同じOKEを使うチーム（OKE一覧で「共有」と表示）をまとめて出力すると消費ブロックを減らせます');
+        }
+
+        return { used, max, over: used > max, suggestions };
+    },
+
+    /**
+     * OKEブロック使用量バーを更新
+     */
+    updateOkeCapacity: function () {
+        const capacity = this.getOkeCapacity();
+        const fill = document.getElementById('oke-capacity-fill');
+        const hint = document.getElementById('oke-capacity-hint');
+
+        fill.style.width = `${Math.min(100, capacity.used / capacity.max * 100)}%`;
+        fill.classList.toggle('over', capacity.over);
+        fill.classList.toggle('warning', !capacity.over && capacity.used > capacity.max - 4);
+        document.getElementById('oke-capacity-label').textContent = `OKEブロック ${capacity.used}/${capacity.max}`;
+
+        hint.innerHTML = '';
+        capacity.suggestions.forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            hint.appendChild(li);
+        });
+        hint.classList.toggle('hidden', capacity.suggestions.length === 0);
+
+        // team.CHEのOKEは外見・統計をteam.CHEから作れない（CHEParser.convertTeamOkeBlock 参照）
+        const notice = document.getElementById('team-oke-notice');
+        const teamFileTeams = this.outputTeams.slice(0, 16).filter(t => !t.isMatchDerived);
+        notice.textContent = teamFileTeams.length > 0
+            ? `チームデータ（team.CHE）から読み込んだ${teamFileTeams.length}チームのOKEは、外見（ビットマップ）と統計がteam.CHEから作れないため、` +
+              'template.CHEの同じ番号のOKE（ほのお/くさ/みずタイプ）の外見になります（任意のマッチデータ・テンプレートなしがベースの場合は空のOKEの外見）'
+            : '';
+        notice.classList.toggle('hidden', teamFileTeams.length === 0);
+    },
+
+    /**
+     * 「ベース」の選択肢を描画
+     * 同梱のtemplate.CHE・読み込んだマッチデータ・ブラウザに保存したテンプレート・テンプレートなし
+     */
+    renderBaseOptions: function () {
+        const select = document.getElementById('save-base');
+        const current = select.value;
+        select.innerHTML = '';
+
+        const addOption = (parent, value, label, disabled = false) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.disabled = disabled;
+            parent.appendChild(option);
+        };
+        const addGroup = (label) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            select.appendChild(group);
+            return group;
+        };
+
+        addOption(select, 'bundled', 'テンプレート (template.CHE)', !CHEParser.templateData);
+
+        const matchFiles = App.loadedFiles
+            .map((file, index) => ({ file, index }))
+            .filter(({ file }) => file.type === 'match' && file.buffer);
+        if (matchFiles.length > 0) {
+            const group = addGroup('読み込んだマッチデータ');
+            matchFiles.forEach(({ file, index }) => addOption(group, `file:${index}`, file.filename));
+        }
+
+        const entries = TemplateLibrary.list();
+        if (entries.length > 0) {
+            const group = addGroup('保存済みテンプレート');
+            entries.forEach(entry => {
+                const field = CHEParser.FIELD_NAMES[entry.field] || `フィールド${entry.field}`;
+                addOption(group, `library:${entry.id}`, `${entry.name} (${field})`);
+            });
+        }
+
+        addOption(select, 'blank', 'テンプレートなし');
+
+        // 選択中の項目がなくなった場合は既定に戻す
+        const option = Array.from(select.options).find(o => o.value === current && !o.disabled);
+        select.value = option ? current : (CHEParser.templateData ? 'bundled' : 'blank');
+        this.updateBaseButtons();
+        if (current && select.value !== current) this.onBaseChange();
+    },
+
+    /**
+     * 選択中の「ベース」
+     * @returns {Object|null} { name, bytes: Uint8Array }（テンプレートなしはnull）
+     */
+    getSaveBase: function () {
+        const value = document.getElementById('save-base').value;
+
+        if (value === 'bundled' && CHEParser.templateData) {
+            return { name: 'template.CHE', bytes: CHEParser.templateData };
+        }
+        if (value.startsWith('file:')) {
+            const file = App.loadedFiles[parseInt(value.slice(5))];
+            if (file && file.buffer) return { name: file.filename, bytes: new Uint8Array(file.buffer) };
+        }
+        if (value.startsWith('library:')) {
+            const template = TemplateLibrary.get(value.slice(8));
+            if (template) return { name: template.entry.name, bytes: template.bytes };
+        }
+        return null;
+    },
+
+    /**
+     * 「ベース」をCHEParser.buildMatchDocumentの生成オプションにする
+     * @param {Object|null} base - getSaveBaseの戻り値（省略時は選択中のベース）
+     * @returns {Object} { template } または { useTemplate: false }
+     */
+    getSaveBaseOptions: function (base = this.getSaveBase()) {
+        return base ? { template: base.bytes } : { useTemplate: false };
+    },
+
+    /**
+     * 「ベース」変更時: 対戦設定をテンプレートの値にする
+     */
+    onBaseChange: function () {
+        const base = this.getSaveBase();
+        this.setMatchSettings(base ? CHEParser.parseMatchSettings(base.bytes) : CHEParser.DEFAULT_MATCH_SETTINGS);
+        this.updateBaseButtons();
+        this.updateOkeCapacity();
+    },
+
+    /**
+     * 「ベース」の保存・削除ボタンの有効/無効
+     */
+    updateBaseButtons: function () {
+        const value = document.getElementById('save-base').value;
+        document.getElementById('save-base-store').disabled = !value.startsWith('file:');
+        document.getElementById('save-base-remove').disabled = !value.startsWith('library:');
+    },
+
+    /**
+     * 選択中の読み込んだマッチデータをテンプレートとしてブラウザに保存
+     */
+    storeBaseTemplate: function () {
+        const select = document.getElementById('save-base');
+        if (!select.value.startsWith('file:')) return;
+        const file = App.loadedFiles[parseInt(select.value.slice(5))];
+        if (!file || !file.buffer) return;
+
+        try {
+            const entry = TemplateLibrary.add(file.filename, file.buffer);
+            this.renderBaseOptions();
+            select.value = `library:${entry.id}`;
+            this.updateBaseButtons();
+            App.showToast(`${file.filename} をテンプレートとして保存しました`, 'success');
+        } catch (e) {
+            App.showToast('テンプレートを保存できませんでした: ' + e.message, 'error');
+        }
+    },
+
+    /**
+     * 選択中の保存済みテンプレートを削除
+     */
+    removeBaseTemplate: function () {
+        const select = document.getElementById('save-base');
+        if (!select.value.startsWith('library:')) return;
+        const template = TemplateLibrary.get(select.value.slice(8));
+        if (!template) return;
+
+        TemplateLibrary.remove(template.entry.id);
+        this.renderBaseOptions();
+        App.showToast(`テンプレート「${template.entry.name}」を削除しました`, 'success');
+    },
+
+    /**
+     * 保存バーの入力欄から対戦設定を取得
+     * @returns {Object} CHEParser.writeMatchSettingsに渡す設定
+     */
+    getMatchSettings: function () {
+        const settings = {
+            field: parseInt(document.getElementById('setting-field').value),
+            mode: parseInt(document.getElementById('setting-mode').value),
+            flags: []
+        };
+
+        const timeLimit = parseFloat(document.getElementById('setting-time-limit').value);
+        if (!isNaN(timeLimit)) settings.timeLimit = timeLimit;
+        const floatParam1 = parseFloat(document.getElementById('setting-float1').value);
+        if (!isNaN(floatParam1)) settings.floatParam1 = floatParam1;
+        const floatParam2 = parseFloat(document.getElementById('setting-float2').value);
+        if (!isNaN(floatParam2)) settings.floatParam2 = floatParam2;
+
+        for (let i = 0; i < 6; i++) {
+            settings.flags.push(document.getElementById(`setting-flag-${i}`).checked ? 1 : 0);
+        }
+
+        return settings;
+    },
+
+    /**
+     * selectの値を設定（未知の値は「不明」の選択肢を追加して選択）
+     */
+    setSelectValue: function (select, value) {
+        if (![...select.options].some(option => option.value === String(value))) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `不明 (${value})`;
+            select.appendChild(option);
+        }
+        select.value = String(value);
+    },
+
+    /**
+     * 勝敗表タブの結果データを出力チーム順で取得
+     * @param {string} source - 'asc'（正順データ）または 'desc'（逆順データ）
+     * @returns {Array} 2次元配列 results[i][j]
+     */
+    getResultsForSave: function (source) {
+        this.checkTableViewerSync();
+        return source === 'desc' ? TableViewer.resultsDesc : TableViewer.resultsAsc;
+    },
+
+    /**
+     * 勝敗表タブのチーム構成が出力チームと同じ並びか確認
+     */
+    checkTableViewerSync: function () {
+        const teams = TableViewer.teams || [];
+        const sameOrder = teams.length === this.outputTeams.length &&
+            teams.every((team, i) => team.globalIndex === this.outputTeams[i].globalIndex);
+        if (!sameOrder) {
+            throw new Error('勝敗表のチーム構成が出力チームと一致しません');
+        }
+    },
+
     /**
      * ファイルダウンロード処理
      */
@@ -458,7 +1109,7 @@ const TeamEditor = {
      * ドラッグ位置に基づいて挿入位置を決定
      */
     getDragAfterElement: function (container, y) {
-        const draggableElements = [...container.querySelectorAll('li:not(.dragging)')];
+        const draggableElements = [...container.querySelectorAll(':scope > li:not(.dragging)')];
 
         return draggableElements.reduce((closest, child) => {
             const box = child.getBoundingClientRect();
@@ -480,7 +1131,8 @@ const TeamEditor = {
         if (!list) return;
 
         const newOrder = [];
-        list.querySelectorAll('li').forEach(item => {
+        // OKEロスターの入れ子liは除く
+        list.querySelectorAll(':scope > li').forEach(item => {
             const index = parseInt(item.dataset.index);
             newOrder.push(this[listProp][index]);
         });
@@ -507,8 +1159,13 @@ const TeamEditor = {
         this.selectedSource = [];
         this.selectedOutput = [];
         this.rawBuffers = [];
+        this.previewTeam = null;
+        this.expandedRosters = [];
+        document.getElementById('oke-preview').classList.add('hidden');
+        document.getElementById('export-report').classList.add('hidden');
         this.renderSourceList();
         this.renderOutputList();
+        this.renderBaseOptions();
     }
 };
 
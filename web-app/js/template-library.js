@@ -0,0 +1,131 @@
+/**
+ * Template Library - マッチデータ生成用テンプレートの保存（localStorage）
+ * 大会ごとにフィールド・フッター・フラグ領域が異なるため、土台にしたいマッチデータをブラウザに保存しておく
+ */
+
+const TemplateLibrary = {
+    STORAGE_KEY: 'che-tools.templates',      // 一覧（メタデータのJSON）
+    DATA_KEY_PREFIX: 'che-tools.template.',  // 本体（Base64）
+    MAX_TEMPLATES: 5,                        // 1件あたり約350KB（Base64）
+
+    /**
+     * localStorageが使えるか
+     */
+    isAvailable: function () {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (e) {
+            // file:// やプライベートブラウズでアクセス自体が例外になることがある
+            return false;
+        }
+    },
+
+    /**
+     * 保存済みテンプレートの一覧
+     * @returns {Array} [{ id, name, tournamentName, field, mode, savedAt }]
+     */
+    list: function () {
+        if (!this.isAvailable()) return [];
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.warn('Template library is broken, ignored:', e);
+            return [];
+        }
+    },
+
+    /**
+     * テンプレートを取得
+     * @param {string} id - テンプレートID
+     * @returns {Object|null} { entry, bytes: Uint8Array }
+     */
+    get: function (id) {
+        const entry = this.list().find(e => e.id === id);
+        const data = entry && localStorage.getItem(this.DATA_KEY_PREFIX + id);
+        return data ? { entry: entry, bytes: this.fromBase64(data) } : null;
+    },
+
+    /**
+     * テンプレートを追加
+     * @param {string} name - 表示名（通常は元のファイル名）
+     * @param {ArrayBuffer|Uint8Array} buffer - マッチデータ
+     * @returns {Object} 追加したエントリ
+     */
+    add: function (name, buffer) {
+        if (!this.isAvailable()) {
+            throw new Error('このブラウザではテンプレートを保存できません');
+        }
+
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const error = CHEParser.checkTemplate(bytes);
+        if (error) throw new Error(error);
+
+        const entries = this.list();
+        if (entries.length >= this.MAX_TEMPLATES) {
+            throw new Error(`テンプレートは${this.MAX_TEMPLATES}件まで保存できます。不要なものを削除してください`);
+        }
+
+        const settings = CHEParser.parseMatchSettings(bytes);
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: name,
+            tournamentName: CHEParser.readSJISString(bytes, 0x18, CHEParser.NAME_MAX_BYTES),
+            field: settings.field,
+            mode: settings.mode,
+            savedAt: new Date().toISOString()
+        };
+
+        const dataKey = this.DATA_KEY_PREFIX + entry.id;
+        try {
+            localStorage.setItem(dataKey, this.toBase64(bytes.subarray(0, CHEParser.MATCH_FILE_SIZE)));
+            entries.push(entry);
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            // 容量超過（QuotaExceededError）: 書きかけの本体を残さない
+            localStorage.removeItem(dataKey);
+            throw new Error('ブラウザの保存容量が足りません。不要なテンプレートを削除してください');
+        }
+
+        return entry;
+    },
+
+    /**
+     * テンプレートを削除
+     * @param {string} id - テンプレートID
+     */
+    remove: function (id) {
+        if (!this.isAvailable()) return;
+        localStorage.removeItem(this.DATA_KEY_PREFIX + id);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.list().filter(e => e.id !== id)));
+    },
+
+    /**
+     * バイト列 → Base64
+     */
+    toBase64: function (bytes) {
+        // String.fromCharCodeの引数上限を避けるため分割して変換
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Base64 → バイト列
+     */
+    fromBase64: function (text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateLibrary;
+}
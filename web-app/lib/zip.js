@@ -0,0 +1,109 @@
+/**
+ * Zip.js - ZIPアーカイブ生成ユーティリティ
+ * 無圧縮（stored）のみ対応。ファイル名はUTF-8で格納する
+ */
+
+const Zip = {
+    CRC_TABLE: null,
+
+    /**
+     * CRC-32を計算
+     * @param {Uint8Array} bytes - データ
+     * @returns {number} CRC-32（符号なし）
+     */
+    crc32: function (bytes) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * ZIPアーカイブを生成
+     * @param {Array} entries - [{ name: ファイル名, data: ArrayBuffer|Uint8Array }]
+     * @param {Date} date - 更新日時（省略時は現在時刻）
+     * @returns {ArrayBuffer} ZIPファイルデータ
+     */
+    create: function (entries, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const FLAG_UTF8 = 0x0800; // 汎用ビットフラグ: ファイル名がUTF-8
+
+        const files = entries.map(entry => {
+            const data = entry.data instanceof Uint8Array ? entry.data : new Uint8Array(entry.data);
+            return { name: encoder.encode(entry.name), data: data, crc: this.crc32(data) };
+        });
+
+        const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.data.length, 0);
+        const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+
+        // ローカルファイルヘッダー + データ
+        let offset = 0;
+        files.forEach(f => {
+            f.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);          // 展開に必要なバージョン
+            view.setUint16(offset + 6, FLAG_UTF8, true);
+            view.setUint16(offset + 8, 0, true);           // 無圧縮
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, f.crc, true);
+            view.setUint32(offset + 18, f.data.length, true);
+            view.setUint32(offset + 22, f.data.length, true);
+            view.setUint16(offset + 26, f.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            output.set(f.name, offset + 30);
+            output.set(f.data, offset + 30 + f.name.length);
+            offset += 30 + f.name.length + f.data.length;
+        });
+
+        // セントラルディレクトリ
+        const centralStart = offset;
+        files.forEach(f => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);          // 作成バージョン
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, FLAG_UTF8, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, f.crc, true);
+            view.setUint32(offset + 20, f.data.length, true);
+            view.setUint32(offset + 24, f.data.length, true);
+            view.setUint16(offset + 28, f.name.length, true);
+            // +30 拡張フィールド長, +32 コメント長, +34 ディスク番号, +36 内部属性, +38 外部属性 は0
+            view.setUint32(offset + 42, f.offset, true);
+            output.set(f.name, offset + 46);
+            offset += 46 + f.name.length;
+        });
+
+        // セントラルディレクトリ終端レコード
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, files.length, true);
+        view.setUint16(offset + 10, files.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+
+        return output.buffer;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Zip;
+}